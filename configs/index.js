@@ -0,0 +1,160 @@
+/**
+ * Shareable ESLint configs of the plugin.
+ *
+ * `recommended` is the eslintrc preset (`plugin:linter-rules-package/recommended`).
+ *
+ * Flat-config presets register the plugin, parse `.ts`/`.tsx` files with
+ * @typescript-eslint/parser (resolved from the project when a preset is first
+ * read) and add framework-appropriate excluded paths to the shared config's:
+ * - `flat/recommended`: declarations only reported in component/function
+ *   files, duplication as warnings
+ * - `flat/strict`: every inline declaration reported, duplication as errors
+ * - `flat/react`: `flat/recommended` plus shadcn/ui components and Storybook stories
+ * - `flat/nextjs`: `flat/react` plus App Router special files (pages, layouts,
+ *   routes...) for no-inline-interfaces, where inline `Props` are idiomatic
+ */
+
+import { requireTypeScriptParser } from "../core/parser.js";
+
+const PLUGIN_NAME = "linter-rules-package";
+
+// Files the presets apply to
+const SOURCE_FILES = ["**/*.ts", "**/*.tsx"];
+
+// Paths excluded by every preset: declaration files only contain declarations
+const BASE_EXCLUDED_PATHS = ["*.d.ts"];
+
+// Generated or third-party React code
+const REACT_EXCLUDED_PATHS = ["**/components/ui/", "*.stories.tsx", "*.stories.ts"];
+
+// Next.js App Router special files, excluded from no-inline-interfaces only
+const NEXTJS_ROUTE_FILES = [
+	"page",
+	"layout",
+	"template",
+	"loading",
+	"error",
+	"not-found",
+	"default",
+	"route",
+].map((name) => `**/app/**/${name}.{ts,tsx}`);
+
+/**
+ * Builds the `languageOptions` of the presets
+ */
+function getLanguageOptions() {
+	const parser = requireTypeScriptParser(process.cwd());
+	if (!parser) {
+		return {}; // Users parse TypeScript themselves (e.g. with typescript-eslint)
+	}
+	return {
+		parser,
+		parserOptions: {
+			ecmaFeatures: { jsx: true },
+		},
+	};
+}
+
+/**
+ * Builds a flat-config preset
+ * @param {object} plugin - The plugin object
+ * @param {string} name - Preset name
+ * @param {object} options - Preset settings
+ * @param {string} [options.mode] - no-inline-interfaces mode
+ * @param {string} options.duplicationSeverity - Severity of no-code-duplication
+ * @param {string[]} options.excludedPaths - Paths excluded from both rules, in
+ *   addition to the shared config's
+ * @param {string[]} [options.inlineExcludedPaths] - Paths excluded from no-inline-interfaces only
+ * @returns {object} - Flat config object
+ */
+function createPreset(plugin, name, { mode, duplicationSeverity, excludedPaths, inlineExcludedPaths = [] }) {
+	const inlineOptions = { excludedPaths: [...excludedPaths, ...inlineExcludedPaths] };
+	if (mode) {
+		inlineOptions.mode = mode;
+	}
+
+	return {
+		name: `${PLUGIN_NAME}/flat/${name}`,
+		files: SOURCE_FILES,
+		plugins: {
+			[PLUGIN_NAME]: plugin,
+		},
+		languageOptions: getLanguageOptions(),
+		rules: {
+			[`${PLUGIN_NAME}/no-inline-interfaces`]: ["error", inlineOptions],
+			[`${PLUGIN_NAME}/no-code-duplication`]: [duplicationSeverity, { excludedPaths }],
+		},
+	};
+}
+
+/**
+ * Defines a flat-config preset that is only built when first read, so the
+ * parser is resolved from the directory ESLint runs in rather than when the
+ * plugin is imported
+ * @param {object} configs - Configs object to define the preset on
+ * @param {string} name - Preset name, without the `flat/` prefix
+ * @param {Function} build - Returns the preset
+ */
+function defineLazyPreset(configs, name, build) {
+	let preset = null;
+	Object.defineProperty(configs, `flat/${name}`, {
+		enumerable: true,
+		get() {
+			if (!preset) {
+				preset = build();
+			}
+			return preset;
+		},
+	});
+}
+
+/**
+ * Builds the configs of the plugin
+ * @param {object} plugin - The plugin object the presets register
+ * @returns {object} - Configs by name
+ */
+export function createConfigs(plugin) {
+	const reactExcludedPaths = [...BASE_EXCLUDED_PATHS, ...REACT_EXCLUDED_PATHS];
+
+	const configs = {
+		recommended: {
+			plugins: [PLUGIN_NAME],
+			rules: {
+				[`${PLUGIN_NAME}/no-inline-interfaces`]: "error",
+				[`${PLUGIN_NAME}/no-code-duplication`]: "warn",
+			},
+		},
+	};
+
+	defineLazyPreset(configs, "recommended", () =>
+		createPreset(plugin, "recommended", {
+			mode: "component-files",
+			duplicationSeverity: "warn",
+			excludedPaths: BASE_EXCLUDED_PATHS,
+		})
+	);
+	defineLazyPreset(configs, "strict", () =>
+		createPreset(plugin, "strict", {
+			mode: "strict",
+			duplicationSeverity: "error",
+			excludedPaths: BASE_EXCLUDED_PATHS,
+		})
+	);
+	defineLazyPreset(configs, "react", () =>
+		createPreset(plugin, "react", {
+			mode: "component-files",
+			duplicationSeverity: "warn",
+			excludedPaths: reactExcludedPaths,
+		})
+	);
+	defineLazyPreset(configs, "nextjs", () =>
+		createPreset(plugin, "nextjs", {
+			mode: "component-files",
+			duplicationSeverity: "warn",
+			excludedPaths: reactExcludedPaths,
+			inlineExcludedPaths: NEXTJS_ROUTE_FILES,
+		})
+	);
+
+	return configs;
+}
@@ -0,0 +1,405 @@
+/**
+ * File-level checks behind the check-* scripts, for build scripts and bots
+ * that need structured results without spawning processes:
+ *
+ * ```js
+ * import { checkInlineInterfaces, findDuplicates } from "linter-rules-package";
+ *
+ * const { declarations } = await checkInlineInterfaces({ files: ["src/UserCard.tsx"] });
+ * const { duplicates } = await findDuplicates({ files, config: { detector: "line" } });
+ * ```
+ *
+ * Both read the project config file of `cwd` (see utils/project-config.js);
+ * the `config` argument takes precedence over it, like rule options do. Files
+ * that are excluded are skipped, and files that cannot be read are listed in
+ * `errors` instead of failing the whole check. `.vue` and `.svelte` files are
+ * checked through their `<script>` blocks. Findings silenced with
+ * suppression comments (see utils/suppressions.js) are left out.
+ *
+ * `createInlineInterfacesChecker` and `createDuplicatesFinder` return
+ * incremental variants of the checks, for processes that re-check files as
+ * they change (e.g. the --watch mode of the scripts).
+ */
+
+import { readFileSync, statSync } from "node:fs";
+import { resolve } from "node:path";
+import noCodeDuplication from "../rules/no-code-duplication.js";
+import noInlineInterfaces from "../rules/no-inline-interfaces.js";
+import { toProjectPath } from "../utils/path-patterns.js";
+import { getRuleConfig, validateRuleOptions } from "../utils/project-config.js";
+import { openDuplicationCache } from "../utils/duplication-cache.js";
+import { getScriptContent } from "../utils/source-files.js";
+import { createSuppressionChecker } from "../utils/suppressions.js";
+import { KIND_LABELS, analyzeDeclarations } from "./declarations.js";
+import {
+	DETECTORS,
+	MIN_DUPLICATION_LINES,
+	MIN_DUPLICATION_TOKENS,
+	MIN_SIMILARITY,
+	NORMALIZATION_LEVELS,
+	SIMILARITY_ALGORITHMS,
+	createDuplicationIndex,
+} from "./duplication.js";
+import { loadTypeScriptParser } from "./parser.js";
+import { isValidFileSize, resolveProjectPath, shouldExcludeFile } from "./paths.js";
+import { getDefaultWorkerCount } from "./workers.js";
+
+/**
+ * Merges the project config of a rule with the options passed by the caller
+ * (excluded paths add up unless `replaceExcludedPaths` is set)
+ */
+function getOptions(root, ruleName, schema, config, replaceExcludedPaths) {
+	if (config !== undefined) {
+		validateRuleOptions(ruleName, config, schema);
+	}
+	return getRuleConfig(root, ruleName, schema, config, { replaceExcludedPaths });
+}
+
+/**
+ * Reads a file to analyse
+ * @returns {{file: string, content?: string, message?: string}|null} - Project
+ *   path and content, project path and error message if the file cannot be
+ *   read, or null if the file is excluded
+ */
+function readProjectFile(file, root, excludedPaths) {
+	// Validate and resolve path to prevent path traversal
+	const fullPath = resolveProjectPath(file, root);
+	if (!fullPath) {
+		return { file: String(file), message: "Invalid or unsafe path" };
+	}
+
+	const projectPath = toProjectPath(fullPath, root);
+	if (shouldExcludeFile(projectPath, excludedPaths, root)) {
+		return null;
+	}
+
+	try {
+		// Validate file size before reading
+		if (!isValidFileSize(statSync(fullPath).size)) {
+			return { file: projectPath, message: "File too large or invalid" };
+		}
+		// Components are analysed through their <script> blocks, at their original lines
+		return { file: projectPath, content: getScriptContent(readFileSync(fullPath, "utf-8"), projectPath) };
+	} catch (error) {
+		return { file: projectPath, message: error.code === "ENOENT" ? "File not found" : error.message };
+	}
+}
+
+/**
+ * Checks that the files argument is a list
+ */
+function assertFileList(files) {
+	if (!Array.isArray(files)) {
+		throw new TypeError("`files` must be an array of file paths");
+	}
+}
+
+/**
+ * Gets the project paths of files, for removal from a checker
+ */
+function toProjectPaths(files, root) {
+	assertFileList(files);
+	return files
+		.map((file) => resolveProjectPath(file, root))
+		.filter(Boolean)
+		.map((fullPath) => toProjectPath(fullPath, root));
+}
+
+/**
+ * Lists the problems of the suppression comments of the checked files
+ */
+function getSuppressionProblems(checkers, requireReason) {
+	return [...checkers].flatMap(([file, checker]) =>
+		checker.getProblems({ requireReason }).map((problem) => ({ file, ...problem })),
+	);
+}
+
+/**
+ * Creates an incremental no-inline-interfaces check: each file is analysed
+ * when it is added or updated and its results are kept until it changes, so
+ * long-running processes (watch mode) only re-parse the files that changed
+ * @param {object} [params] - Check parameters (see checkInlineInterfaces, without `files`)
+ * @returns {Promise<{update: function(string[]): void, remove: function(string[]): void, getResult: function(): object}>} -
+ *   `update(files)` (re-)checks files, `remove(files)` forgets them and
+ *   `getResult()` returns the result of checkInlineInterfaces for the
+ *   current files
+ * @throws {Error} - If the config is invalid or no parser is available
+ */
+export async function createInlineInterfacesChecker({
+	cwd = process.cwd(),
+	config,
+	parser,
+	requireSuppressionReason = false,
+	replaceExcludedPaths = false,
+} = {}) {
+	const root = resolve(cwd);
+	const { schema, messages } = noInlineInterfaces.meta;
+	const options = getOptions(root, "no-inline-interfaces", schema[0], config, replaceExcludedPaths);
+
+	const typeScriptParser = parser || (await loadTypeScriptParser(root));
+	if (!typeScriptParser) {
+		throw new Error(
+			"checkInlineInterfaces requires @typescript-eslint/parser. Install it with: npm install --save-dev @typescript-eslint/parser",
+		);
+	}
+
+	// Results by project path, in the order files were first checked
+	const results = new Map();
+
+	/**
+	 * Analyses the content of a file
+	 */
+	function checkFile(file, content) {
+		const checker = createSuppressionChecker(content, "no-inline-interfaces");
+		let found;
+		try {
+			found = analyzeDeclarations(content, {
+				parser: typeScriptParser,
+				filePath: file,
+				mode: options.mode,
+				targetPath: typeof options.targetPath === "string" ? options.targetPath : undefined,
+				cwd: root,
+			});
+		} catch (error) {
+			return { checker, error: `Parsing error: ${error.message}` };
+		}
+
+		const declarations = [];
+		let suppressedCount = 0;
+		for (const { node, kind, name, messageId } of found) {
+			if (checker.isSuppressed(node.loc.start.line)) {
+				suppressedCount++;
+				continue;
+			}
+			declarations.push({
+				file,
+				startLine: node.loc.start.line,
+				startColumn: node.loc.start.column + 1,
+				endLine: node.loc.end.line,
+				endColumn: node.loc.end.column + 1,
+				kind,
+				name,
+				messageId,
+				message: messages[messageId]
+					.replace("{{name}}", name)
+					.replace("{{kind}}", KIND_LABELS[kind])
+					.replace("{{hint}}", ""),
+				content: content.slice(node.range[0], node.range[1]),
+			});
+		}
+		return { checker, declarations, suppressedCount };
+	}
+
+	return {
+		update(files) {
+			assertFileList(files);
+			for (const file of files) {
+				const read = readProjectFile(file, root, options.excludedPaths);
+				if (read) {
+					results.set(read.file, read.message ? { error: read.message } : checkFile(read.file, read.content));
+				}
+			}
+		},
+
+		remove(files) {
+			for (const file of toProjectPaths(files, root)) {
+				results.delete(file);
+			}
+		},
+
+		getResult() {
+			const checked = [...results].filter(([, result]) => result.checker);
+			return {
+				files: checked.map(([file]) => file),
+				declarations: checked.flatMap(([, result]) => result.declarations || []),
+				suppressedCount: checked.reduce((count, [, result]) => count + (result.suppressedCount || 0), 0),
+				suppressionProblems: getSuppressionProblems(
+					checked.map(([file, result]) => [file, result.checker]),
+					requireSuppressionReason,
+				),
+				errors: [...results]
+					.filter(([, result]) => result.error)
+					.map(([file, result]) => ({ file, message: result.error })),
+			};
+		},
+	};
+}
+
+/**
+ * Finds the interfaces, types and enums declared inline in TypeScript files,
+ * as reported by the no-inline-interfaces rule
+ * @param {object} params - Check parameters
+ * @param {string[]} params.files - Files to check, absolute or relative to `cwd`
+ * @param {string} [params.cwd] - Project root (default: process.cwd())
+ * @param {object} [params.config] - no-inline-interfaces options (`mode`, `excludedPaths`)
+ * @param {boolean} [params.replaceExcludedPaths] - `config.excludedPaths` replace the ones of
+ *   the project config file instead of being added to them
+ * @param {object} [params.parser] - Parser to use instead of the installed @typescript-eslint/parser
+ * @param {boolean} [params.requireSuppressionReason] - Report suppression comments without a reason as errors
+ * @returns {Promise<object>} - `{files, declarations, suppressedCount, suppressionProblems, errors}`:
+ *   checked files, flagged declarations
+ *   `{file, startLine, startColumn, endLine, endColumn, kind, name, messageId, message, content}`
+ *   (columns are 1-based, `content` is the code of the declaration), the number
+ *   of suppressed declarations, problems of the suppression comments
+ *   `{file, line, level, message}` and files that could not be checked
+ *   (`{file, message}`)
+ * @throws {Error} - If the config is invalid or no parser is available
+ */
+export async function checkInlineInterfaces({ files, ...params } = {}) {
+	assertFileList(files);
+	const checker = await createInlineInterfacesChecker(params);
+	checker.update(files);
+	return checker.getResult();
+}
+
+/**
+ * Creates an incremental no-code-duplication check backed by a duplication
+ * index (see createDuplicationIndex in core/duplication.js): only the files
+ * that are added or updated are read and indexed again
+ * @param {object} [params] - Check parameters (see findDuplicates, without `files`)
+ * @returns {{update: function(string[]): Promise<void>, remove: function(string[]): void, getResult: function(): object}} -
+ *   `update(files)` (re-)reads files, `remove(files)` forgets them and
+ *   `getResult()` returns the result of findDuplicates for the current files
+ * @throws {Error} - If the config or the cache location is invalid
+ */
+export function createDuplicatesFinder({
+	cwd = process.cwd(),
+	config,
+	requireSuppressionReason = false,
+	replaceExcludedPaths = false,
+	cache = false,
+	cacheLocation,
+	workers = getDefaultWorkerCount(),
+} = {}) {
+	const root = resolve(cwd);
+	const options = getOptions(
+		root,
+		"no-code-duplication",
+		noCodeDuplication.meta.schema[0],
+		config,
+		replaceExcludedPaths,
+	);
+	const duplicationCache = cache ? openDuplicationCache(root, cacheLocation) : null;
+
+	const index = createDuplicationIndex({
+		detector: DETECTORS.includes(options.detector) ? options.detector : "token",
+		// Same bounds as the rule options
+		minLines:
+			options.minLines > 0 && options.minLines <= 1000 ? Math.floor(options.minLines) : MIN_DUPLICATION_LINES,
+		minSimilarity:
+			options.minSimilarity >= 0 && options.minSimilarity <= 100 ? options.minSimilarity : MIN_SIMILARITY,
+		similarityAlgorithm: SIMILARITY_ALGORITHMS.includes(options.similarityAlgorithm)
+			? options.similarityAlgorithm
+			: "lcs",
+		minTokens:
+			options.minTokens > 0 && options.minTokens <= 10000 ? Math.floor(options.minTokens) : MIN_DUPLICATION_TOKENS,
+		normalization: NORMALIZATION_LEVELS.includes(options.normalization) ? options.normalization : "identifiers",
+		significantIdentifiers: Array.isArray(options.significantIdentifiers) ? options.significantIdentifiers : [],
+		cache: duplicationCache,
+	});
+	// Contents (or read errors) by project path, in the order files were first read
+	const contents = new Map();
+
+	return {
+		async update(files) {
+			assertFileList(files);
+			const readFiles = [];
+			for (const file of files) {
+				const read = readProjectFile(file, root, options.excludedPaths);
+				if (!read) {
+					continue;
+				}
+				contents.set(read.file, read);
+				if (read.message) {
+					index.removeFile(read.file);
+				} else {
+					readFiles.push(read);
+				}
+			}
+
+			await index.updateFiles(readFiles, { workers });
+			// The cache is best effort: a cache that cannot be written is rebuilt next time
+			if (duplicationCache) {
+				duplicationCache.save();
+			}
+		},
+
+		remove(files) {
+			for (const file of toProjectPaths(files, root)) {
+				contents.delete(file);
+				index.removeFile(file);
+			}
+		},
+
+		getResult() {
+			const read = [...contents.values()].filter(({ message }) => !message);
+			const duplicates = index.analyze();
+
+			// Suppressions are evaluated on every result, as groups change with the files
+			const checkers = new Map(
+				read.map(({ file, content }) => [file, createSuppressionChecker(content, "no-code-duplication")]),
+			);
+			// Suppressed copies leave their group, which remains a duplication while two copies are left
+			let suppressedCount = 0;
+			const unsuppressed = [];
+			for (const group of duplicates) {
+				const blocks = group.blocks.filter(
+					(block) => !checkers.get(block.file).isSuppressed(block.startLine),
+				);
+				suppressedCount += group.blocks.length - blocks.length;
+				if (blocks.length < 2) {
+					continue;
+				}
+
+				const fileCount = new Set(blocks.map((block) => block.file)).size;
+				unsuppressed.push({ ...group, blocks, isSameFile: fileCount === 1, fileCount });
+			}
+
+			return {
+				files: read.map(({ file }) => file),
+				duplicates: unsuppressed,
+				suppressedCount,
+				suppressionProblems: getSuppressionProblems(checkers, requireSuppressionReason),
+				errors: [...contents.values()]
+					.filter(({ message }) => message)
+					.map(({ file, message }) => ({ file, message })),
+			};
+		},
+	};
+}
+
+/**
+ * Finds duplicated code within and across files, as reported by the
+ * no-code-duplication rule
+ * @param {object} params - Check parameters
+ * @param {string[]} params.files - Files to compare, absolute or relative to `cwd`
+ * @param {string} [params.cwd] - Project root (default: process.cwd())
+ * @param {object} [params.config] - no-code-duplication options (`detector`, `minLines`,
+ *   `minSimilarity`, `similarityAlgorithm`, `minTokens`, `normalization`,
+ *   `significantIdentifiers`, `excludedPaths`)
+ * @param {boolean} [params.replaceExcludedPaths] - `config.excludedPaths` replace the ones of
+ *   the project config file instead of being added to them
+ * @param {boolean} [params.requireSuppressionReason] - Report suppression comments without a reason as errors
+ * @param {boolean} [params.cache] - Reuse the analysis of unchanged files from previous runs
+ *   (see utils/duplication-cache.js)
+ * @param {string} [params.cacheLocation] - Cache file, relative to `cwd`
+ *   (default: node_modules/.cache/linter-rules-check-code-duplication.json)
+ * @param {number} [params.workers] - Maximum number of worker threads that tokenize and
+ *   normalize the files (default: number of CPUs; 1 to stay in the main thread).
+ *   The results do not depend on it
+ * @returns {Promise<object>} - `{files, duplicates, suppressedCount, suppressionProblems, errors}`:
+ *   compared files, duplication groups
+ *   `{similarity, cloneType, isSameFile, fileCount, blocks: [{file, startLine, endLine, content, loc?}]}`
+ *   whose blocks are the group members (`loc` holds the exact start and end
+ *   positions found by the token detector, with 0-based columns), the number
+ *   of suppressed copies (a group is left out when fewer than two copies
+ *   remain), problems of the suppression comments `{file, line, level, message}`
+ *   and files that could not be read (`{file, message}`)
+ * @throws {Error} - If the config or the cache location is invalid
+ */
+export async function findDuplicates({ files, ...params } = {}) {
+	assertFileList(files);
+	const finder = createDuplicatesFinder(params);
+	await finder.update(files);
+	return finder.getResult();
+}
@@ -0,0 +1,96 @@
+/**
+ * Inline declaration analysis shared by the no-inline-interfaces rule and the
+ * check-inline-interfaces script (see utils/declaration-classifier.js for
+ * what each mode flags)
+ */
+
+import { resolve } from "node:path";
+
+import {
+	MODES,
+	exportsFunctionsOrComponents,
+	findInlineDeclarations,
+	getReportMessageId,
+	isNestedDeclaration,
+} from "../utils/declaration-classifier.js";
+import { DEFAULT_TARGET_PATTERN, isTargetFile } from "../utils/interface-relocation.js";
+
+export { MODES };
+
+// Files parsed with JSX (TypeScript reserves `<T>expr` type assertions to .ts files)
+const JSX_FILE_PATTERN = /\.(?:tsx|jsx|js|mjs|cjs)$/i;
+
+// Capitalized declaration kinds used in messages
+export const KIND_LABELS = {
+	interface: "Interface",
+	type: "Type",
+	enum: "Enum",
+};
+
+/**
+ * Finds the interfaces, types and enums a file should not declare inline
+ * @param {string} source - File content
+ * @param {object} options - Analysis options
+ * @param {object} [options.ast] - Already parsed Program (e.g. ESLint's), with `loc` and `range`
+ * @param {object} [options.parser] - Parser with a `parse(code, options)` method such as
+ *   @typescript-eslint/parser, used when no `ast` is given
+ * @param {string} [options.filePath] - File path, relative to `cwd` or absolute; `.tsx` and JavaScript
+ *   files are parsed with JSX
+ * @param {string} [options.mode] - One of MODES (default: "strict")
+ * @param {string} [options.targetPath] - Target file pattern (see resolveTargetPath); declarations
+ *   already in one of its target files are not flagged (default: DEFAULT_TARGET_PATTERN)
+ * @param {string} [options.cwd] - Project root the target pattern is relative to (default: process.cwd())
+ * @returns {Array<{node: object, kind: string, name: string, messageId: string, line: number, column: number,
+ *   ancestors: object[]}>} - Flagged declarations in source order (`column` is 1-based), with
+ *   their ancestors from the Program down
+ * @throws {Error} - If neither `ast` nor `parser` is given, or the source cannot be parsed
+ */
+export function analyzeDeclarations(
+	source,
+	{ ast, parser, filePath = "", mode = "strict", targetPath = DEFAULT_TARGET_PATTERN, cwd = process.cwd() } = {},
+) {
+	let program = ast;
+	if (!program) {
+		if (!parser || typeof parser.parse !== "function") {
+			throw new Error("analyzeDeclarations requires an `ast` or a `parser` option");
+		}
+		program = parser.parse(source, {
+			loc: true,
+			range: true,
+			jsx: JSX_FILE_PATTERN.test(filePath),
+		});
+	}
+
+	const activeMode = MODES.includes(mode) ? mode : "strict";
+	const isComponentFile = exportsFunctionsOrComponents(program);
+	const fullPath = filePath ? resolve(cwd, filePath) : null;
+	const declarations = [];
+
+	for (const { node, kind, ancestors } of findInlineDeclarations(program)) {
+		// Declarations already in their target file stay put
+		if (fullPath && isTargetFile(targetPath, { filePath: fullPath, name: node.id.name, cwd })) {
+			continue;
+		}
+
+		const messageId = getReportMessageId(kind, {
+			mode: activeMode,
+			isNested: isNestedDeclaration(ancestors),
+			isComponentFile,
+		});
+		if (!messageId) {
+			continue;
+		}
+
+		declarations.push({
+			node,
+			kind,
+			name: node.id.name,
+			messageId,
+			line: node.loc.start.line,
+			column: node.loc.start.column + 1,
+			ancestors,
+		});
+	}
+
+	return declarations;
+}
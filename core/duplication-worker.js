@@ -0,0 +1,13 @@
+/**
+ * Worker thread entry of the duplication analysis pool (see core/workers.js):
+ * prepares the data of the files it receives, in batches of `{index, content}`
+ */
+
+import { parentPort, workerData } from "node:worker_threads";
+import { prepareDuplicationData } from "./duplication.js";
+
+parentPort.on("message", (batch) => {
+	parentPort.postMessage(
+		batch.map(({ index, content }) => ({ index, data: prepareDuplicationData(content, workerData.options) })),
+	);
+});
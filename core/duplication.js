@@ -0,0 +1,994 @@
+/**
+ * Duplication analysis shared by the no-code-duplication rule and the
+ * check-code-duplication script.
+ *
+ * Two detectors are available:
+ * - "token": clones are found on the normalized token stream (see
+ *   utils/clone-detector.js), regardless of line breaks and formatting
+ * - "line": fixed windows of lines are compared after normalizing
+ *   whitespace, comments and identifiers, which also finds near-miss clones
+ *
+ * Near-miss windows are scored by their longest common subsequence of lines
+ * ("lcs") or by the overlap of their tokens ("jaccard"), so an inserted or
+ * deleted statement only costs the lines it touches. Only windows brought
+ * together by locality-sensitive hashing (MinHash over token shingles) are
+ * scored, which keeps the comparisons close to linear in the project size.
+ *
+ * Both detectors normalize code at one of NORMALIZATION_LEVELS: exact copies
+ * only, renamed identifiers (default), or renamed identifiers and changed
+ * literals. Significant identifiers (e.g. `useState`, `fetch`) are never
+ * renamed, so code calling different APIs does not look the same.
+ */
+
+import {
+	MIN_DUPLICATION_TOKENS,
+	NORMALIZATION_LEVELS,
+	createSignificantIdentifierFilter,
+	deserializeTokens,
+	findClones,
+	getNormalizationKey,
+	serializeTokens,
+	tokenize,
+} from "../utils/clone-detector.js";
+import { prepareInWorkers } from "./workers.js";
+
+export { MIN_DUPLICATION_TOKENS, NORMALIZATION_LEVELS };
+
+export const MIN_DUPLICATION_LINES = 10;
+export const MIN_SIMILARITY = 80;
+export const DETECTORS = ["token", "line"];
+export const SIMILARITY_ALGORITHMS = ["lcs", "jaccard"];
+
+// Clone types reported with each duplication group: identical code (Type-1),
+// identical after normalization (Type-2) and similar enough (Type-3)
+export const CLONE_TYPES = {
+	1: "Type-1 clone: identical code",
+	2: "Type-2 clone: renamed identifiers or literals",
+	3: "Type-3 clone: near-miss",
+};
+
+// Security limits
+const MAX_CODE_SIZE = 1 * 1024 * 1024; // 1MB limit for identifier normalization
+const MAX_IDENTIFIERS = 10000; // Limit number of identifiers to prevent DoS
+const MAX_IDENTIFIER_LENGTH = 100;
+const MAX_ALIGNED_LINES = 1000; // Lines of a block compared by the LCS (quadratic)
+const MAX_BUCKET_NEIGHBORS = 50; // Windows sampled across a crowded LSH bucket (MAX_CANDIDATES_PER_HASH for the token detector)
+
+// MinHash signatures of the windows, split into LSH bands: windows sharing a
+// band are compared. 16 bands of 2 hashes make windows whose shingles are
+// 40% alike meet with a probability above 90%.
+const SHINGLE_SIZE = 3; // Tokens per shingle
+const LSH_BANDS = 16;
+const LSH_ROWS = 2;
+const SIGNATURE_SEEDS = Array.from({ length: LSH_BANDS * LSH_ROWS }, (_, index) =>
+	Math.imul(index + 1, 0x9e3779b1) >>> 0,
+);
+
+// Placeholders of normalized code and tokens of a normalized line, for the similarity scorers
+const IDENTIFIER_PLACEHOLDER_PATTERN = /__VAR\d+__/g;
+const LITERAL_PLACEHOLDER = "__LIT__";
+const TOKEN_PATTERN = /[a-zA-Z_$][a-zA-Z0-9_$]*|\d+(?:\.\d+)?|\S/g;
+
+// String, template and number literals replaced by the "literals" level
+const LITERAL_PATTERN = /(["'`])(?:\\.|(?!\1)[^\\\n])*\1|\b0[xXoObB][0-9a-fA-F_]+n?\b|\b\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?\b/g;
+
+// Words kept verbatim by the identifier normalization
+const KEYWORDS = new Set([
+	"if", "else", "for", "while", "do", "switch", "case", "break", "continue",
+	"return", "function", "const", "let", "var", "class", "extends", "implements",
+	"import", "export", "from", "default", "async", "await", "try", "catch", "finally",
+	"throw", "new", "this", "super", "typeof", "instanceof", "in", "of", "true", "false",
+	"null", "undefined", "void", "any", "string", "number", "boolean", "object",
+	"interface", "type", "enum", "namespace", "module", "declare", "as", "is"
+]);
+
+/**
+ * Normalizes identifiers (variables, functions, parameters) to placeholders
+ * This allows detecting structural duplication even when variable names differ
+ * @param {string} code - Code to normalize
+ * @param {string[]} [significantIdentifiers] - Identifiers kept verbatim, `*`
+ *   matching any identifier characters (see createSignificantIdentifierFilter
+ *   in utils/clone-detector.js)
+ * @returns {string} - Code with identifiers replaced by `__VARn__` placeholders
+ */
+export function normalizeIdentifiers(code, significantIdentifiers = []) {
+	// Limit code size to prevent ReDoS attacks
+	if (code.length > MAX_CODE_SIZE) {
+		return code; // Return original if too large
+	}
+
+	// Extract all identifiers (variable names, function names, etc.)
+	// Pattern: word characters that are not keywords
+	const identifierPattern = /\b([a-zA-Z_$][a-zA-Z0-9_$]*)\b/g;
+
+	const identifiers = new Map();
+	let counter = 0;
+	const seen = new Set();
+	const isSignificant = getSignificantIdentifierFilter(significantIdentifiers);
+
+	// First pass: collect all identifiers and assign placeholders
+	const matches = [...code.matchAll(identifierPattern)];
+	for (const match of matches) {
+		if (identifiers.size >= MAX_IDENTIFIERS) {
+			break; // Stop if too many identifiers
+		}
+
+		const identifier = match[1];
+		// Limit identifier length to prevent ReDoS
+		if (identifier.length > MAX_IDENTIFIER_LENGTH) {
+			continue;
+		}
+
+		if (
+			!KEYWORDS.has(identifier) &&
+			identifier !== LITERAL_PLACEHOLDER &&
+			!isSignificant(identifier) &&
+			!seen.has(identifier)
+		) {
+			seen.add(identifier);
+			identifiers.set(identifier, `__VAR${counter++}__`);
+		}
+	}
+
+	// Second pass: replace identifiers with placeholders
+	let normalized = code;
+	for (const [identifier, placeholder] of identifiers) {
+		// Escape special regex characters to prevent ReDoS
+		const escapedIdentifier = identifier.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		// Use word boundaries to avoid partial matches
+		const regex = new RegExp(`\\b${escapedIdentifier}\\b`, "g");
+		normalized = normalized.replace(regex, placeholder);
+	}
+
+	return normalized;
+}
+
+// Filters of the significant identifiers, by list (lists are reused for every window)
+const significantFilters = new WeakMap();
+
+/**
+ * Gets the significant identifier test of a list, compiled once per list
+ */
+function getSignificantIdentifierFilter(significantIdentifiers) {
+	if (!Array.isArray(significantIdentifiers) || significantIdentifiers.length === 0) {
+		return () => false;
+	}
+	if (!significantFilters.has(significantIdentifiers)) {
+		significantFilters.set(significantIdentifiers, createSignificantIdentifierFilter(significantIdentifiers));
+	}
+	return significantFilters.get(significantIdentifiers);
+}
+
+/**
+ * Normalizes code by removing whitespace, comments, and normalizing identifiers
+ * @param {string} code - Code to normalize
+ * @param {object} [normalization] - Normalization options
+ * @param {string} [normalization.level] - One of NORMALIZATION_LEVELS: "exact" only
+ *   removes whitespace and comments, "identifiers" (default) also replaces
+ *   identifiers, "literals" also replaces string and number literals
+ * @param {string[]} [normalization.significantIdentifiers] - Identifiers kept verbatim
+ * @returns {string} - Normalized code, one non-empty line per source line
+ */
+export function normalizeCode(code, { level = "identifiers", significantIdentifiers = [] } = {}) {
+	const lines = code.split("\n");
+	const normalized = [];
+	for (const line of lines) {
+		// Remove comments
+		const withoutComments = line.split("//")[0].split("/*")[0];
+		// Normalize whitespace
+		const normalizedLine = withoutComments.trim().replace(/\s+/g, " ");
+		if (normalizedLine.length > 0) {
+			normalized.push(normalizedLine);
+		}
+	}
+	const codeWithoutWhitespace = normalized.join("\n");
+	if (level === "exact") {
+		return codeWithoutWhitespace;
+	}
+
+	// Normalize identifiers (and literals) to detect structural duplication
+	const codeWithoutLiterals =
+		level === "literals" && codeWithoutWhitespace.length <= MAX_CODE_SIZE
+			? codeWithoutWhitespace.replace(LITERAL_PATTERN, LITERAL_PLACEHOLDER)
+			: codeWithoutWhitespace;
+	return normalizeIdentifiers(codeWithoutLiterals, significantIdentifiers);
+}
+
+/**
+ * Reduces a normalized line to what the similarity scorers compare: every
+ * identifier placeholder becomes the same one, so a statement that introduces
+ * a new name does not shift the numbered placeholders of the following lines
+ */
+function getComparableLine(line) {
+	return line.trim().replace(IDENTIFIER_PLACEHOLDER_PATTERN, "_");
+}
+
+/**
+ * Lists the comparable lines of a block with their line number in the block
+ * (1-based), skipping blank and comment-only lines
+ * @param {string} code - Normalized block, or source block with `normalization`
+ * @param {object} [normalization] - Normalization options to apply to each source line
+ */
+function getComparableLines(code, normalization) {
+	const lines = [];
+	const sourceLines = code.split("\n");
+	for (let index = 0; index < sourceLines.length && lines.length < MAX_ALIGNED_LINES; index++) {
+		const line = normalization ? normalizeCode(sourceLines[index], normalization) : sourceLines[index];
+		const text = getComparableLine(line);
+		if (text.length > 0) {
+			lines.push({ line: index + 1, text });
+		}
+	}
+	return lines;
+}
+
+/**
+ * Computes the longest common subsequence table of two lists of lines:
+ * `table[i][j]` is the length of the LCS of `lines1[i..]` and `lines2[j..]`
+ */
+function getCommonSubsequenceTable(lines1, lines2) {
+	const table = Array.from({ length: lines1.length + 1 }, () => new Uint16Array(lines2.length + 1));
+	for (let i = lines1.length - 1; i >= 0; i--) {
+		for (let j = lines2.length - 1; j >= 0; j--) {
+			table[i][j] =
+				lines1[i].text === lines2[j].text
+					? table[i + 1][j + 1] + 1
+					: Math.max(table[i + 1][j], table[i][j + 1]);
+		}
+	}
+	return table;
+}
+
+/**
+ * Scores the tokens two blocks have in common: size of the intersection of
+ * their token multisets over the size of their union (Jaccard index)
+ */
+function getTokenSimilarity(lines1, lines2) {
+	const tokens1 = lines1.flatMap(({ text }) => text.match(TOKEN_PATTERN) || []);
+	const tokens2 = lines2.flatMap(({ text }) => text.match(TOKEN_PATTERN) || []);
+
+	const counts = new Map();
+	for (const token of tokens1) {
+		counts.set(token, (counts.get(token) || 0) + 1);
+	}
+	let intersection = 0;
+	for (const token of tokens2) {
+		const count = counts.get(token) || 0;
+		if (count > 0) {
+			intersection++;
+			counts.set(token, count - 1);
+		}
+	}
+
+	const union = tokens1.length + tokens2.length - intersection;
+	return union === 0 ? 0 : (intersection / union) * 100;
+}
+
+/**
+ * Calculates similarity percentage between two code blocks
+ * @param {string} code1 - First block
+ * @param {string} code2 - Second block
+ * @param {string} [algorithm] - "lcs" (default): normalized lines of the longest
+ *   common subsequence over the lines of the longer block; "jaccard": shared
+ *   normalized tokens over all tokens, regardless of their order
+ * @param {object} [normalization] - Normalization options (see normalizeCode)
+ * @returns {number} - Similarity percentage (0-100)
+ */
+export function calculateSimilarity(code1, code2, algorithm = "lcs", normalization = {}) {
+	const normalized1 = normalizeCode(code1, normalization);
+	const normalized2 = normalizeCode(code2, normalization);
+
+	if (normalized1 === normalized2) return 100;
+
+	return scoreLines(getComparableLines(normalized1), getComparableLines(normalized2), algorithm);
+}
+
+/**
+ * Scores the similarity of two lists of comparable lines (see calculateSimilarity)
+ */
+function scoreLines(lines1, lines2, algorithm) {
+	if (algorithm === "jaccard") {
+		return getTokenSimilarity(lines1, lines2);
+	}
+
+	const maxLen = Math.max(lines1.length, lines2.length);
+	if (maxLen === 0) return 0;
+
+	return (getCommonSubsequenceTable(lines1, lines2)[0][0] / maxLen) * 100;
+}
+
+/**
+ * Aligns the lines of two duplicated blocks on their longest common
+ * subsequence, to explain how they differ. Lines are compared the way
+ * calculateSimilarity compares them (renamed identifiers match unless
+ * `normalization` keeps them); blank and comment-only lines are left out.
+ * @param {string} code1 - First block
+ * @param {string} code2 - Second block
+ * @param {object} [normalization] - Normalization options (see normalizeCode)
+ * @returns {Array<{type: string, line1?: number, line2?: number}>} - Aligned rows
+ *   with 1-based line numbers within each block: "same" and "changed" rows have
+ *   both lines, "removed" rows only `line1` and "added" rows only `line2`
+ */
+export function alignBlocks(code1, code2, normalization = {}) {
+	const lines1 = getComparableLines(code1, normalization);
+	const lines2 = getComparableLines(code2, normalization);
+	const table = getCommonSubsequenceTable(lines1, lines2);
+
+	const rows = [];
+	let removed = [];
+	let added = [];
+	// Unmatched lines between two matches are paired as changed lines
+	const flush = () => {
+		const pairedCount = Math.min(removed.length, added.length);
+		for (let index = 0; index < pairedCount; index++) {
+			rows.push({ type: "changed", line1: removed[index], line2: added[index] });
+		}
+		rows.push(
+			...removed.slice(pairedCount).map((line1) => ({ type: "removed", line1 })),
+			...added.slice(pairedCount).map((line2) => ({ type: "added", line2 })),
+		);
+		removed = [];
+		added = [];
+	};
+
+	let i = 0;
+	let j = 0;
+	while (i < lines1.length || j < lines2.length) {
+		if (i < lines1.length && j < lines2.length && lines1[i].text === lines2[j].text) {
+			flush();
+			rows.push({ type: "same", line1: lines1[i++].line, line2: lines2[j++].line });
+		} else if (j >= lines2.length || (i < lines1.length && table[i + 1][j] >= table[i][j + 1])) {
+			removed.push(lines1[i++].line);
+		} else {
+			added.push(lines2[j++].line);
+		}
+	}
+	flush();
+
+	return rows;
+}
+
+/**
+ * Extracts windows of `minLines` lines from file content, every `minLines / 2`
+ * lines, skipping windows that are mostly empty or comments
+ * @param {string} content - File content
+ * @param {number} minLines - Window size
+ * @param {object} [normalization] - Normalization options (see normalizeCode)
+ * @returns {Array<{startLine: number, endLine: number, content: string, normalized: string}>} - Windows
+ */
+export function extractCodeBlocks(content, minLines = MIN_DUPLICATION_LINES, normalization = {}) {
+	const lines = content.split("\n");
+	const blocks = [];
+	const step = Math.max(1, Math.floor(minLines / 2));
+
+	for (let i = 0; i <= lines.length - minLines; i += step) {
+		const block = lines.slice(i, i + minLines).join("\n");
+		const blockLines = block.split("\n");
+		const nonEmptyLines = [];
+
+		for (const line of blockLines) {
+			const trimmed = line.trim();
+			if (
+				trimmed.length > 0 &&
+				!trimmed.startsWith("//") &&
+				!trimmed.startsWith("/*") &&
+				!trimmed.startsWith("*") &&
+				!trimmed.startsWith("*/")
+			) {
+				nonEmptyLines.push(line);
+			}
+		}
+
+		// Only consider blocks with at least 70% non-empty lines
+		if (nonEmptyLines.length >= minLines * 0.7) {
+			blocks.push({
+				startLine: i + 1,
+				endLine: i + minLines,
+				content: block,
+				normalized: normalizeCode(block, normalization),
+			});
+		}
+	}
+
+	return blocks;
+}
+
+/**
+ * Hashes a string to 32 bits (FNV-1a)
+ */
+function hashString(text) {
+	let hash = 0x811c9dc5;
+	for (let index = 0; index < text.length; index++) {
+		hash = Math.imul(hash ^ text.charCodeAt(index), 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+/**
+ * Mixes a shingle hash with the seed of a MinHash function (murmur3 finalizer)
+ */
+function mixHash(hash, seed) {
+	let mixed = (hash ^ seed) >>> 0;
+	mixed = Math.imul(mixed ^ (mixed >>> 16), 0x85ebca6b);
+	mixed = Math.imul(mixed ^ (mixed >>> 13), 0xc2b2ae35);
+	return (mixed ^ (mixed >>> 16)) >>> 0;
+}
+
+/**
+ * Computes the MinHash signature of a window: for each seed, the smallest
+ * hash of its shingles (runs of SHINGLE_SIZE normalized tokens). Windows
+ * whose shingles are alike get the same values with matching probability.
+ */
+function getSignature(comparableLines) {
+	const tokens = comparableLines.flatMap(({ text }) => text.match(TOKEN_PATTERN) || []);
+	const shingleCount = Math.max(1, tokens.length - SHINGLE_SIZE + 1);
+	const shingles = new Set();
+	for (let index = 0; index < shingleCount; index++) {
+		shingles.add(hashString(tokens.slice(index, index + SHINGLE_SIZE).join(" ")));
+	}
+
+	return SIGNATURE_SEEDS.map((seed) => {
+		let min = 0xffffffff;
+		for (const shingle of shingles) {
+			const hash = mixHash(shingle, seed);
+			if (hash < min) {
+				min = hash;
+			}
+		}
+		return min;
+	});
+}
+
+/**
+ * Lists the pairs of windows worth comparing, with locality-sensitive hashing:
+ * the MinHash signature of each window is split into bands and windows that
+ * share a band are candidates, so near-duplicates meet whatever part of them
+ * differs while most unrelated windows are never compared. Pairs are listed
+ * once, the earlier window (in indexing order) first.
+ */
+function getCandidatePairs(blocks) {
+	const buckets = new Map();
+	blocks.forEach((block, blockIndex) => {
+		const signature = getSignature(block.comparableLines);
+		for (let band = 0; band < LSH_BANDS; band++) {
+			const key = `${band}:${signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(",")}`;
+			if (!buckets.has(key)) {
+				buckets.set(key, []);
+			}
+			buckets.get(key).push(blockIndex);
+		}
+	});
+
+	const pairKeys = new Set();
+	const pairs = [];
+	const addPair = (first, second) => {
+		const [earlier, later] = first < second ? [first, second] : [second, first];
+		const key = earlier * blocks.length + later;
+		if (!pairKeys.has(key)) {
+			pairKeys.add(key);
+			pairs.push([earlier, later]);
+		}
+	};
+
+	for (const bucket of buckets.values()) {
+		if (bucket.length <= MAX_BUCKET_NEIGHBORS + 1) {
+			for (let i = 0; i < bucket.length; i++) {
+				for (let j = i + 1; j < bucket.length; j++) {
+					addPair(bucket[i], bucket[j]);
+				}
+			}
+			continue;
+		}
+
+		// Crowded buckets (boilerplate repeated across the project) compare each
+		// window with windows at evenly spread offsets, wrapping around, to stay
+		// linear in the bucket size: the following windows alone are mostly
+		// overlapping windows of the same file, so distant copies would never meet
+		for (let i = 0; i < bucket.length; i++) {
+			for (let k = 0; k < MAX_BUCKET_NEIGHBORS; k++) {
+				const offset = 1 + Math.floor((k * (bucket.length - 1)) / MAX_BUCKET_NEIGHBORS);
+				addPair(bucket[i], bucket[(i + offset) % bucket.length]);
+			}
+		}
+	}
+
+	return pairs
+		.sort((a, b) => a[0] - b[0] || a[1] - b[1])
+		.map(([first, second]) => [blocks[first], blocks[second]]);
+}
+
+/**
+ * Merges pairs of overlapping windows that belong to the same clone.
+ * A long duplicated region yields one pair per window; pairs between the same
+ * files with the same line offset whose ranges overlap or touch are collapsed
+ * into a single range.
+ */
+function mergeOverlappingPairs(pairs) {
+	const sorted = [...pairs].sort(
+		(a, b) =>
+			a.block.file.localeCompare(b.block.file) ||
+			a.similarBlock.file.localeCompare(b.similarBlock.file) ||
+			a.block.startLine - b.block.startLine ||
+			a.similarBlock.startLine - b.similarBlock.startLine,
+	);
+	const clones = [];
+
+	for (const { block, similarBlock, similarity } of sorted) {
+		const offset = similarBlock.startLine - block.startLine;
+		const existing = clones.find(
+			(clone) =>
+				clone.file === block.file &&
+				clone.otherFile === similarBlock.file &&
+				clone.offset === offset &&
+				block.startLine <= clone.endLine + 1,
+		);
+
+		if (existing) {
+			existing.endLine = Math.max(existing.endLine, block.endLine);
+			existing.similarity = Math.min(existing.similarity, similarity);
+		} else {
+			clones.push({
+				file: block.file,
+				otherFile: similarBlock.file,
+				startLine: block.startLine,
+				endLine: block.endLine,
+				offset,
+				similarity,
+			});
+		}
+	}
+
+	return clones;
+}
+
+/**
+ * Splits clones of a file with itself whose copies overlap (periodic code,
+ * e.g. the same handler written five times in a row) into consecutive copies
+ * of one period, so each repetition is a block of its own. The split clones
+ * come first, shortest period first, so grouping starts from the finest copies.
+ */
+function splitPeriodicClones(clones, minLines) {
+	const periodic = [];
+	const others = [];
+
+	for (const clone of clones) {
+		const { startLine, endLine, offset } = clone;
+		if (clone.file !== clone.otherFile || offset <= 0 || offset > endLine - startLine) {
+			others.push(clone);
+			continue;
+		}
+
+		// The region from startLine to endLine + offset repeats every `offset` lines
+		for (let copyStart = startLine; copyStart <= endLine; copyStart += offset) {
+			const copyEnd = Math.min(copyStart + offset - 1, endLine);
+			if (copyEnd - copyStart + 1 >= minLines) {
+				periodic.push({ ...clone, startLine: copyStart, endLine: copyEnd });
+			}
+		}
+	}
+
+	periodic.sort((a, b) => a.offset - b.offset);
+	return [...periodic, ...others];
+}
+
+/**
+ * Tells whether every line of a range is covered by the ranges of a group
+ */
+function isCoveredBy(range, ranges) {
+	let nextLine = range.startLine;
+	const sameFile = ranges
+		.filter((candidate) => candidate.file === range.file)
+		.sort((a, b) => a.startLine - b.startLine);
+	for (const candidate of sameFile) {
+		if (candidate.startLine <= nextLine && candidate.endLine >= nextLine) {
+			nextLine = candidate.endLine + 1;
+		}
+	}
+	return nextLine > range.endLine;
+}
+
+/**
+ * Groups clones that share a range so that a block duplicated several times
+ * is reported once, listing every other occurrence
+ */
+function groupDuplicates(clones) {
+	const groups = [];
+	const overlaps = (a, b) =>
+		a.file === b.file && a.startLine <= b.endLine && b.startLine <= a.endLine;
+
+	for (const clone of clones) {
+		const first = { file: clone.file, startLine: clone.startLine, endLine: clone.endLine };
+		const second = {
+			file: clone.otherFile,
+			startLine: clone.startLine + clone.offset,
+			endLine: clone.endLine + clone.offset,
+		};
+
+		const group = groups.find((candidate) =>
+			candidate.ranges.some(
+				(range) => overlaps(range, first) || overlaps(range, second),
+			),
+		);
+
+		if (!group) {
+			groups.push({ ranges: [first, second], similarity: clone.similarity });
+			continue;
+		}
+
+		// Copies the group already holds (e.g. two periods of periodic code) add nothing
+		const added = [first, second].filter((range) => !isCoveredBy(range, group.ranges));
+		if (added.length === 0) {
+			continue;
+		}
+
+		for (const range of added) {
+			const existing = group.ranges.find((candidate) => overlaps(candidate, range));
+			if (existing) {
+				existing.startLine = Math.min(existing.startLine, range.startLine);
+				existing.endLine = Math.max(existing.endLine, range.endLine);
+			} else {
+				group.ranges.push(range);
+			}
+		}
+		group.similarity = Math.min(group.similarity, clone.similarity);
+	}
+
+	for (const group of groups) {
+		group.ranges.sort((a, b) => a.file.localeCompare(b.file) || a.startLine - b.startLine);
+	}
+
+	return groups;
+}
+
+/**
+ * Removes redundant duplication groups, which repeated or periodic code
+ * yields with either detector: overlapping blocks of a file are merged within
+ * each group (a group left with a single block is dropped), groups sharing a
+ * block become one group, and groups whose blocks are all covered by the
+ * blocks of another group are dropped
+ * @param {Array<{similarity: number, ranges: object[]}>} groups - Groups of
+ *   ranges `{file, startLine, endLine, loc?}`
+ * @returns {Array<{similarity: number, ranges: object[]}>} - Remaining groups
+ */
+function consolidateGroups(groups) {
+	const isSameRange = (a, b) => a.file === b.file && a.startLine === b.startLine && a.endLine === b.endLine;
+	// Token ranges overlap when their exact positions do (copies may share a line)
+	const isBefore = (a, b) => a.line < b.line || (a.line === b.line && a.column <= b.column);
+	const overlaps = (previous, range) =>
+		previous.loc && range.loc ? !isBefore(previous.loc.end, range.loc.start) : range.startLine <= previous.endLine;
+
+	const merged = [];
+	for (const group of groups) {
+		const ranges = [];
+		const sorted = [...group.ranges].sort((a, b) => a.file.localeCompare(b.file) || a.startLine - b.startLine);
+		for (const range of sorted) {
+			const previous = ranges[ranges.length - 1];
+			if (previous && previous.file === range.file && overlaps(previous, range)) {
+				if (range.endLine > previous.endLine) {
+					previous.endLine = range.endLine;
+					if (previous.loc && range.loc) {
+						previous.loc = { start: previous.loc.start, end: range.loc.end };
+					}
+				}
+				continue;
+			}
+			ranges.push({ ...range });
+		}
+		if (ranges.length < 2) {
+			continue;
+		}
+
+		const shared = merged.find((other) => other.ranges.some((range) => ranges.some((own) => isSameRange(range, own))));
+		if (shared) {
+			shared.ranges.push(...ranges.filter((range) => !shared.ranges.some((other) => isSameRange(other, range))));
+			shared.similarity = Math.min(shared.similarity, group.similarity);
+		} else {
+			merged.push({ ...group, ranges });
+		}
+	}
+
+	// Groups with more blocks cover the repetitions of the smaller ones
+	const byCoverage = [...merged].sort((a, b) => b.ranges.length - a.ranges.length);
+	const kept = new Set();
+	for (const group of byCoverage) {
+		const covered = [...kept].some((other) => group.ranges.every((range) => isCoveredBy(range, other.ranges)));
+		if (!covered) {
+			kept.add(group);
+		}
+	}
+
+	return merged
+		.filter((group) => kept.has(group))
+		.map((group) => ({
+			...group,
+			ranges: group.ranges.sort((a, b) => a.file.localeCompare(b.file) || a.startLine - b.startLine),
+		}));
+}
+
+/**
+ * Finds duplicated line windows (line-based detector).
+ * Compares fixed windows of `minLines` lines and supports near-miss matches
+ * through `minSimilarity`, scored with `similarityAlgorithm`.
+ */
+function findLineDuplicates(entries, { minLines, minSimilarity, similarityAlgorithm }) {
+	// Windows are reduced to comparable lines once, for their signature and every comparison
+	const blocks = entries.flatMap(({ file, blocks: fileBlocks }) =>
+		fileBlocks.map((block) => ({ file, ...block, comparableLines: getComparableLines(block.normalized) })),
+	);
+
+	const pairs = [];
+	for (const [block1, block2] of getCandidatePairs(blocks)) {
+		// Skip if blocks are too close in the same file (likely overlapping)
+		if (block1.file === block2.file && Math.abs(block1.startLine - block2.startLine) < minLines) {
+			continue;
+		}
+
+		const similarity =
+			block1.normalized === block2.normalized
+				? 100
+				: scoreLines(block1.comparableLines, block2.comparableLines, similarityAlgorithm);
+		if (similarity >= minSimilarity) {
+			pairs.push({
+				block: block1,
+				similarBlock: block2,
+				similarity: Math.round(similarity),
+			});
+		}
+	}
+
+	return groupDuplicates(splitPeriodicClones(mergeOverlappingPairs(pairs), minLines));
+}
+
+/**
+ * Finds duplicated token sequences (token-based detector).
+ * Clones are matched on the normalized token stream, so they are found
+ * regardless of line breaks; they are reported when they span at least
+ * `minLines` lines in one of their occurrences.
+ */
+function findTokenDuplicates(entries, { minTokens, minLines, normalization }) {
+	return findClones(entries, { minTokens, normalization })
+		.filter((clone) =>
+			clone.occurrences.some(
+				(occurrence) => occurrence.end.line - occurrence.start.line + 1 >= minLines,
+			),
+		)
+		.map((clone) => ({
+			similarity: 100,
+			ranges: clone.occurrences.map((occurrence) => ({
+				file: occurrence.file,
+				startLine: occurrence.start.line,
+				endLine: occurrence.end.line,
+				loc: { start: occurrence.start, end: occurrence.end },
+			})),
+		}));
+}
+
+/**
+ * Extracts the data the duplication index needs from a file: its normalized
+ * windows (line detector) or normalized tokens (token detector), in a
+ * JSON-compatible form that can be cached or sent across worker threads
+ * @param {string} content - File content
+ * @param {object} [options] - Detection options
+ * @param {string} [options.detector] - "token" (default) or "line"
+ * @param {number} [options.minLines] - Window size of the line detector
+ * @param {object} [options.normalization] - Normalization options (see normalizeCode)
+ * @returns {object} - Extracted data
+ */
+export function prepareDuplicationData(
+	content,
+	{ detector = "token", minLines = MIN_DUPLICATION_LINES, normalization = {} } = {},
+) {
+	if (detector === "line") {
+		return extractCodeBlocks(content, minLines, normalization).map(({ startLine, endLine, normalized }) => ({
+			startLine,
+			endLine,
+			normalized,
+		}));
+	}
+	return serializeTokens(tokenize(content), normalization);
+}
+
+/**
+ * Gets the code of a duplicated range: its exact token range when known
+ * (token detector), its whole lines otherwise
+ */
+function getRangeCode(lines, { startLine, endLine, loc }) {
+	const rangeLines = lines.slice(startLine - 1, endLine);
+	if (loc && rangeLines.length > 0) {
+		const last = rangeLines.length - 1;
+		rangeLines[last] = rangeLines[last].slice(0, loc.end.column);
+		rangeLines[0] = rangeLines[0].slice(loc.start.column);
+	}
+	return rangeLines.join("\n");
+}
+
+/**
+ * Tells which type of clone a duplication group is (see CLONE_TYPES): blocks
+ * with the same tokens are Type-1, other complete matches Type-2 and partial
+ * matches Type-3
+ * @param {string[]} codes - Code of each block of the group
+ * @param {number} similarity - Similarity percentage of the group
+ * @returns {number} - Clone type, a key of CLONE_TYPES
+ */
+export function getCloneType(codes, similarity) {
+	if (similarity < 100) {
+		return 3;
+	}
+	const [first, ...others] = codes.map((code) =>
+		tokenize(code)
+			.map(({ value }) => value)
+			.join(" "),
+	);
+	return others.every((other) => other === first) ? 1 : 2;
+}
+
+/**
+ * Restores the windows of a file from prepared data, or returns null if the
+ * data is invalid
+ */
+function restoreCodeBlocks(data, lines) {
+	if (!Array.isArray(data)) {
+		return null;
+	}
+	return data.map(({ startLine, endLine, normalized }) => ({
+		startLine,
+		endLine,
+		content: lines.slice(startLine - 1, endLine).join("\n"),
+		normalized,
+	}));
+}
+
+/**
+ * Creates an in-memory duplication index: the windows (line detector) or
+ * tokens (token detector) of each file are extracted once and kept until the
+ * file is updated, so long-running processes (watch mode) only re-read the
+ * files that changed
+ * @param {object} [options] - Detection options (see analyzeDuplication)
+ * @param {object} [options.cache] - Persistent cache of the extracted data, with
+ *   `get(file, content, key)` and `set(file, content, key, data)` (see
+ *   utils/duplication-cache.js); not used for files given with their tokens
+ * @returns {object} - Index with `updateFile(file, content, tokens?)` to add or
+ *   replace a file, `updateFiles(files, {workers})` to add many files
+ *   `{file, content}` (extracted across up to `workers` worker threads, see
+ *   core/workers.js), `removeFile(file)` and `analyze()`, which returns the
+ *   duplication groups
+ */
+export function createDuplicationIndex({
+	detector = "token",
+	minLines = MIN_DUPLICATION_LINES,
+	minSimilarity = MIN_SIMILARITY,
+	similarityAlgorithm = "lcs",
+	minTokens = MIN_DUPLICATION_TOKENS,
+	normalization: level = "identifiers",
+	significantIdentifiers = [],
+	cache = null,
+} = {}) {
+	const entries = new Map();
+	const normalization = { level, significantIdentifiers };
+	// Options the extracted data depends on
+	const normalizationKey = getNormalizationKey(normalization);
+	const cacheKey = detector === "line" ? `line:${minLines}:${normalizationKey}` : `token:${normalizationKey}`;
+
+	const getCached = (file, content) => (cache ? cache.get(file, content, cacheKey) : undefined);
+
+	/**
+	 * Indexes a file from its prepared data, extracting it again if the data
+	 * is missing or invalid
+	 */
+	const addFile = (file, content, data, isCached) => {
+		const lines = content.split("\n");
+		const restore = (prepared) =>
+			prepared === undefined
+				? null
+				: detector === "line"
+					? restoreCodeBlocks(prepared, lines)
+					: deserializeTokens(prepared);
+
+		let extracted = restore(data);
+		if (!extracted) {
+			data = prepareDuplicationData(content, { detector, minLines, normalization });
+			extracted = restore(data);
+			isCached = false;
+		}
+		if (cache && !isCached) {
+			cache.set(file, content, cacheKey, data);
+		}
+		entries.set(file, detector === "line" ? { file, lines, blocks: extracted } : { file, lines, tokens: extracted });
+	};
+
+	return {
+		updateFile(file, content, tokens) {
+			if (detector !== "line" && Array.isArray(tokens)) {
+				entries.set(file, { file, lines: content.split("\n"), tokens });
+				return;
+			}
+			const cached = getCached(file, content);
+			addFile(file, content, cached, cached !== undefined);
+		},
+
+		async updateFiles(files, { workers = 1 } = {}) {
+			const cached = files.map(({ file, content }) => getCached(file, content));
+			const missing = files.filter((_, index) => cached[index] === undefined);
+			const prepared = await prepareInWorkers(
+				missing.map(({ content }) => content),
+				{ detector, minLines, normalization },
+				workers,
+			);
+
+			// Files are indexed in the given order, whatever order the workers finished in
+			let missingIndex = 0;
+			files.forEach(({ file, content }, index) => {
+				if (cached[index] !== undefined) {
+					addFile(file, content, cached[index], true);
+				} else {
+					addFile(file, content, prepared[missingIndex++], false);
+				}
+			});
+		},
+
+		removeFile(file) {
+			entries.delete(file);
+		},
+
+		analyze() {
+			if (entries.size === 0) {
+				return [];
+			}
+
+			const groups = consolidateGroups(
+				detector === "line"
+					? findLineDuplicates([...entries.values()], { minLines, minSimilarity, similarityAlgorithm })
+					: findTokenDuplicates([...entries.values()], { minTokens, minLines, normalization }),
+			);
+
+			return groups.map(({ similarity, ranges }) => {
+				const blocks = ranges.map((range) => ({
+					...range,
+					content: entries.get(range.file).lines.slice(range.startLine - 1, range.endLine).join("\n"),
+				}));
+				const uniqueFiles = new Set(blocks.map((block) => block.file));
+
+				return {
+					similarity,
+					cloneType: getCloneType(
+						ranges.map((range) => getRangeCode(entries.get(range.file).lines, range)),
+						similarity,
+					),
+					blocks,
+					isSameFile: uniqueFiles.size === 1,
+					fileCount: uniqueFiles.size,
+				};
+			});
+		},
+	};
+}
+
+/**
+ * Finds duplicated code within and across files
+ * @param {Array<{file: string, content: string, tokens?: object[]}>} files - Files to
+ *   analyse; `tokens` (e.g. ESLint tokens) avoids re-tokenizing the content
+ * @param {object} [options] - Detection options
+ * @param {string} [options.detector] - "token" (default) or "line"
+ * @param {number} [options.minLines] - Minimum lines spanned by a clone
+ * @param {number} [options.minSimilarity] - Minimum similarity percentage (line detector)
+ * @param {string} [options.similarityAlgorithm] - Scorer of the line detector,
+ *   "lcs" (default) or "jaccard" (see calculateSimilarity)
+ * @param {string} [options.normalization] - Normalization level, one of
+ *   NORMALIZATION_LEVELS (default: "identifiers", see normalizeCode)
+ * @param {string[]} [options.significantIdentifiers] - Identifiers never abstracted
+ * @param {number} [options.minTokens] - Minimum tokens of a clone (token detector)
+ * @returns {Array<object>} - Duplication groups
+ *   `{similarity, cloneType, blocks: [{file, startLine, endLine, content, loc?}], isSameFile, fileCount}`,
+ *   blocks sorted by file and line
+ */
+export function analyzeDuplication(files, options = {}) {
+	if (!Array.isArray(files) || files.length === 0) {
+		return [];
+	}
+
+	const index = createDuplicationIndex(options);
+	for (const { file, content, tokens } of files) {
+		index.updateFile(file, content, tokens);
+	}
+	return index.analyze();
+}
@@ -0,0 +1,42 @@
+/**
+ * Programmatic analysis API, consumed by the ESLint rules and the validation
+ * scripts and exported from the package for other tools:
+ *
+ * ```js
+ * import { analyzeDuplication, analyzeDeclarations } from "linter-rules-package/core";
+ *
+ * const groups = analyzeDuplication([{ file: "a.ts", content }], { detector: "line" });
+ * const declarations = analyzeDeclarations(source, { parser, filePath: "a.tsx" });
+ * ```
+ *
+ * `checkInlineInterfaces` and `findDuplicates` (see core/checks.js) run the
+ * same checks as the scripts on files of a project; their incremental
+ * variants keep the results of unchanged files between runs.
+ */
+
+export {
+	checkInlineInterfaces,
+	createDuplicatesFinder,
+	createInlineInterfacesChecker,
+	findDuplicates,
+} from "./checks.js";
+
+export {
+	CLONE_TYPES,
+	DETECTORS,
+	MIN_DUPLICATION_LINES,
+	MIN_DUPLICATION_TOKENS,
+	MIN_SIMILARITY,
+	NORMALIZATION_LEVELS,
+	SIMILARITY_ALGORITHMS,
+	alignBlocks,
+	analyzeDuplication,
+	calculateSimilarity,
+	createDuplicationIndex,
+	extractCodeBlocks,
+	getCloneType,
+	normalizeCode,
+	normalizeIdentifiers,
+} from "./duplication.js";
+export { KIND_LABELS, MODES, analyzeDeclarations } from "./declarations.js";
+export { isValidFileSize, resolveProjectPath, shouldExcludeFile, validatePath } from "./paths.js";
@@ -0,0 +1,54 @@
+/**
+ * Loading of the optional TypeScript parser used outside ESLint
+ */
+
+import { createRequire } from "node:module";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+/**
+ * Loads @typescript-eslint/parser, resolved from the project first and then
+ * from this package, if installed
+ * @param {string} root - Project root
+ * @returns {Promise<object|null>} - Parser module, or null if unavailable
+ */
+export async function loadTypeScriptParser(root) {
+	const candidates = [];
+	try {
+		const projectRequire = createRequire(join(root, "package.json"));
+		candidates.push(pathToFileURL(projectRequire.resolve("@typescript-eslint/parser")).href);
+	} catch (error) {
+		// Not installed in the project
+	}
+	candidates.push("@typescript-eslint/parser");
+
+	for (const candidate of candidates) {
+		try {
+			const parser = await import(candidate);
+			return parser.default && parser.default.parse ? parser.default : parser;
+		} catch (error) {
+			// Try the next location
+		}
+	}
+	return null;
+}
+
+/**
+ * Synchronous variant of loadTypeScriptParser, for code that cannot await
+ * (e.g. building ESLint config objects at import time)
+ * @param {string} root - Project root
+ * @returns {object|null} - Parser module, or null if unavailable
+ */
+export function requireTypeScriptParser(root) {
+	const requires = [createRequire(join(root, "package.json")), createRequire(import.meta.url)];
+
+	for (const require of requires) {
+		try {
+			const parser = require("@typescript-eslint/parser");
+			return parser.default && parser.default.parse ? parser.default : parser;
+		} catch (error) {
+			// Try the next location
+		}
+	}
+	return null;
+}
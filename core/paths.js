@@ -1,29 +1,27 @@
 /**
- * Common utilities for lint rules and validation scripts
+ * Path safety and exclusion checks shared by the lint rules and the
+ * validation scripts
  */
 
-import { resolve, relative, isAbsolute, normalize } from "node:path";
-
-// Default paths to exclude from validation
-const DEFAULT_EXCLUDED_PATHS = [
-	"node_modules/",
-	".husky/",
-	"scripts/",
-	"dist/",
-	"build/",
-];
+import { resolve, relative, normalize } from "node:path";
+import {
+	DEFAULT_EXCLUDED_PATHS,
+	isValidPathPattern,
+	matchesPathPatterns,
+} from "../utils/path-patterns.js";
 
 // Security limits
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const MAX_PATH_LENGTH = 4096; // Maximum path length on most systems
 
 /**
- * Validates and normalizes a file path to prevent path traversal attacks
- * @param {string} filePath - The file path to validate
+ * Resolves a file path against a base directory, rejecting paths that
+ * escape it (path traversal)
+ * @param {string} filePath - The file path to resolve
  * @param {string} basePath - The base directory to resolve against
- * @returns {string|null} - Normalized path relative to base, or null if invalid
+ * @returns {string|null} - Normalized absolute path, or null if invalid
  */
-export function validatePath(filePath, basePath) {
+export function resolveProjectPath(filePath, basePath) {
 	if (!filePath || typeof filePath !== "string") {
 		return null;
 	}
@@ -36,18 +34,17 @@ export function validatePath(filePath, basePath) {
 	try {
 		// Normalize the path to resolve .. and . segments
 		const normalized = normalize(filePath);
-		
+
 		// Resolve against base path to prevent traversal
 		const resolved = resolve(basePath, normalized);
 		const baseResolved = resolve(basePath);
-		
+
 		// Ensure resolved path is within base directory
 		if (!resolved.startsWith(baseResolved)) {
 			return null;
 		}
 
-		// Return relative path
-		return relative(baseResolved, resolved);
+		return resolved;
 	} catch (error) {
 		// Invalid path
 		return null;
@@ -55,35 +52,25 @@ export function validatePath(filePath, basePath) {
 }
 
 /**
- * Validates that a path pattern is safe (no path traversal attempts)
- * @param {string} pattern - The path pattern to validate
- * @returns {boolean} - True if the pattern is safe
+ * Validates and normalizes a file path to prevent path traversal attacks
+ * @param {string} filePath - The file path to validate
+ * @param {string} basePath - The base directory to resolve against
+ * @returns {string|null} - Normalized path relative to base, or null if invalid
  */
-function isValidPathPattern(pattern) {
-	if (!pattern || typeof pattern !== "string") {
-		return false;
-	}
-
-	// Reject patterns with path traversal attempts
-	if (pattern.includes("..") || pattern.includes("~")) {
-		return false;
-	}
-
-	// Reject absolute paths
-	if (isAbsolute(pattern)) {
-		return false;
-	}
-
-	return true;
+export function validatePath(filePath, basePath) {
+	const resolved = resolveProjectPath(filePath, basePath);
+	return resolved === null ? null : relative(resolve(basePath), resolved);
 }
 
 /**
- * Checks if a file should be excluded based on path patterns
+ * Checks if a file should be excluded based on gitignore-style path patterns
+ * (see utils/path-patterns.js)
  * @param {string} filePath - The file path to check
- * @param {string[]} customExcludedPaths - Additional paths to exclude
+ * @param {string[]} customExcludedPaths - Additional patterns to exclude
+ * @param {string} basePath - Project root the patterns are anchored to
  * @returns {boolean} - True if the file should be excluded
  */
-export function shouldExcludeFile(filePath, customExcludedPaths = []) {
+export function shouldExcludeFile(filePath, customExcludedPaths = [], basePath = process.cwd()) {
 	if (!filePath || typeof filePath !== "string") {
 		return false;
 	}
@@ -93,16 +80,7 @@ export function shouldExcludeFile(filePath, customExcludedPaths = []) {
 		? customExcludedPaths.filter(isValidPathPattern)
 		: [];
 
-	const allExcludedPaths = [...DEFAULT_EXCLUDED_PATHS, ...validCustomPaths];
-	
-	// Use normalized path comparison
-	const normalizedPath = normalize(filePath);
-	return allExcludedPaths.some((excludedPath) => {
-		if (!isValidPathPattern(excludedPath)) {
-			return false;
-		}
-		return normalizedPath.includes(normalize(excludedPath));
-	});
+	return matchesPathPatterns(filePath, [...DEFAULT_EXCLUDED_PATHS, ...validCustomPaths], basePath);
 }
 
 /**
@@ -113,4 +91,3 @@ export function shouldExcludeFile(filePath, customExcludedPaths = []) {
 export function isValidFileSize(size) {
 	return typeof size === "number" && size > 0 && size <= MAX_FILE_SIZE;
 }
-
@@ -0,0 +1,94 @@
+/**
+ * Worker thread pool of the duplication analysis: the per-file phase
+ * (tokenizing and normalizing, see prepareDuplicationData in
+ * core/duplication.js) of large runs is spread across worker threads, while
+ * the cross-file grouping stays in the main thread. Results are returned in
+ * the order of the input, so the output does not depend on scheduling.
+ */
+
+import os from "node:os";
+import { Worker } from "node:worker_threads";
+
+// Files below which a worker costs more to start than it saves
+const MIN_FILES_PER_WORKER = 25;
+// Files sent to a worker at a time
+const BATCH_SIZE = 10;
+
+// Security limits
+const MAX_WORKERS = 64;
+
+const WORKER_URL = new URL("./duplication-worker.js", import.meta.url);
+
+/**
+ * Gets the default size of the worker pool: the number of CPUs
+ * @returns {number} - Number of workers
+ */
+export function getDefaultWorkerCount() {
+	return typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Prepares the duplication data of file contents across worker threads
+ * @param {string[]} contents - File contents
+ * @param {object} options - Options of prepareDuplicationData (`detector`, `minLines`, `normalization`)
+ * @param {number} [workers] - Maximum number of worker threads; fewer are used
+ *   for small inputs, and none below 2
+ * @returns {Promise<Array<object|undefined>>} - Prepared data, in the order of
+ *   `contents`; entries are undefined when no worker prepared them (small
+ *   inputs, worker failures), for the caller to prepare in the main thread
+ */
+export async function prepareInWorkers(contents, options, workers = 1) {
+	const results = new Array(contents.length);
+	const workerCount = Math.min(
+		MAX_WORKERS,
+		Math.floor(Number(workers)) || 1,
+		Math.floor(contents.length / MIN_FILES_PER_WORKER),
+	);
+	if (workerCount < 2) {
+		return results;
+	}
+
+	let nextIndex = 0;
+	const takeBatch = () => {
+		const batch = [];
+		while (batch.length < BATCH_SIZE && nextIndex < contents.length) {
+			batch.push({ index: nextIndex, content: contents[nextIndex] });
+			nextIndex++;
+		}
+		return batch;
+	};
+
+	const runWorker = () =>
+		new Promise((resolve) => {
+			let worker;
+			try {
+				worker = new Worker(WORKER_URL, { workerData: { options } });
+			} catch (error) {
+				resolve(); // Worker threads unavailable: the main thread prepares the files
+				return;
+			}
+
+			const sendNextBatch = () => {
+				const batch = takeBatch();
+				if (batch.length === 0) {
+					worker.terminate().then(() => resolve(), () => resolve());
+					return;
+				}
+				worker.postMessage(batch);
+			};
+
+			worker.on("message", (prepared) => {
+				for (const { index, data } of prepared) {
+					results[index] = data;
+				}
+				sendNextBatch();
+			});
+			// A failed batch is left to the main thread
+			worker.on("error", () => resolve());
+			worker.on("exit", () => resolve());
+			sendNextBatch();
+		});
+
+	await Promise.all(Array.from({ length: workerCount }, runWorker));
+	return results;
+}
@@ -2,11 +2,15 @@
  * ESLint configuration example with linter-rules-package
  * 
  * Copy this file to your project and adjust according to your needs.
+ * For the defaults, a preset is enough:
+ *
+ *   export default [linterRules.configs["flat/recommended"]]; // or flat/strict, flat/react, flat/nextjs
  */
 
 import linterRules from "linter-rules-package";
 
 export default {
+	files: ["**/*.ts", "**/*.tsx"],
 	plugins: {
 		"linter-rules-package": linterRules,
 	},
@@ -19,6 +23,8 @@ export default {
 					"src/components/shadcn/ui/", // Exclude shadcn/ui components
 					"src/interfaces/", // Interfaces in this folder are fine
 				],
+				mode: "strict", // "component-files" or "nested" to only report declarations in components and functions
+				targetPath: "src/interfaces/{basename}.interface.ts", // Where suggestions import declarations from
 			},
 		],
 		// Rule to detect code duplication
@@ -27,6 +33,7 @@ export default {
 			{
 				minLines: 10, // Minimum lines to consider duplication
 				minSimilarity: 80, // Minimum similarity percentage
+				maxReports: 10, // Maximum duplication groups reported per file
 				excludedPaths: [
 					"src/components/shadcn/ui/",
 				],
@@ -2,23 +2,35 @@
  * ESLint plugin for code quality rules
  * - no-inline-interfaces: Prevents interfaces/types from being defined inline
  * - no-code-duplication: Detects code duplication that should be refactored
+ *
+ * Presets: recommended (eslintrc) and flat/recommended, flat/strict,
+ * flat/react, flat/nextjs (flat config).
+ *
+ * The analysis core used by the rules and the scripts is exported as named
+ * exports (also available as "linter-rules-package/core").
  */
 
+import { readFileSync } from "node:fs";
 import noCodeDuplication from "./rules/no-code-duplication.js";
 import noInlineInterfaces from "./rules/no-inline-interfaces.js";
+import { createConfigs } from "./configs/index.js";
 
-export default {
+export * from "./core/index.js";
+
+const packageJson = JSON.parse(readFileSync(new URL("./package.json", import.meta.url), "utf-8"));
+
+const plugin = {
+	meta: {
+		name: packageJson.name,
+		version: packageJson.version,
+	},
 	rules: {
 		"no-inline-interfaces": noInlineInterfaces,
 		"no-code-duplication": noCodeDuplication,
 	},
-	configs: {
-		recommended: {
-			rules: {
-				"linter-rules-package/no-inline-interfaces": "error",
-				"linter-rules-package/no-code-duplication": "warn",
-			},
-		},
-	},
 };
 
+// Flat-config presets reference the plugin itself (see configs/index.js)
+plugin.configs = createConfigs(plugin);
+
+export default plugin;
@@ -1,163 +1,179 @@
 /**
  * ESLint rule to detect code duplication.
  * This rule checks for repeated code blocks of significant length.
+ * By default clones are found on the token stream; the line-based detector is
+ * kept for near-miss similarity matching (both live in core/duplication.js).
+ * With `crossFile` enabled, clones between files of the same lint run are
+ * reported too (see utils/clone-index-cache.js).
+ * Duplicates accepted in the project baseline (see utils/baseline.js) are
+ * not reported; an invalid baseline or configuration file is reported once
+ * and ignored. Each report names the type of clone that matched (see
+ * CLONE_TYPES in core/duplication.js).
  *
  * Note: This is a simplified version. For more complex duplication detection,
  * consider using tools like jscpd or code-clone-detector.
  */
 
-import { shouldExcludeFile } from "../utils/linter-utils.js";
-
-const MIN_DUPLICATION_LINES = 10;
-const MIN_SIMILARITY = 80;
+import { readFileSync } from "node:fs";
+import { relative, resolve, sep } from "node:path";
+import {
+	CLONE_TYPES,
+	DETECTORS,
+	MIN_DUPLICATION_LINES,
+	MIN_DUPLICATION_TOKENS,
+	MIN_SIMILARITY,
+	NORMALIZATION_LEVELS,
+	SIMILARITY_ALGORITHMS,
+	analyzeDuplication,
+	getCloneType,
+} from "../core/duplication.js";
+import { isValidFileSize, shouldExcludeFile } from "../core/paths.js";
+import { getLintRuleConfig } from "../utils/project-config.js";
+import { createBaselineFilter, getFingerprint } from "../utils/baseline.js";
+import { getFileMeta, getSharedCloneIndex } from "../utils/clone-index-cache.js";
+
+const MAX_REPORTS = 10;
 
 /**
- * Normalizes identifiers (variables, functions, parameters) to placeholders
- * This allows detecting structural duplication even when variable names differ
+ * Reads the code of a clone occurrence in another file, or returns null if
+ * the file cannot be read
  */
-function normalizeIdentifiers(code) {
-	// Limit code size to prevent ReDoS attacks
-	const MAX_CODE_SIZE = 1 * 1024 * 1024; // 1MB limit for identifier normalization
-	if (code.length > MAX_CODE_SIZE) {
-		return code; // Return original if too large
-	}
-
-	// Extract all identifiers (variable names, function names, etc.)
-	// Pattern: word characters that are not keywords
-	const identifierPattern = /\b([a-zA-Z_$][a-zA-Z0-9_$]*)\b/g;
-	const keywords = new Set([
-		"if", "else", "for", "while", "do", "switch", "case", "break", "continue",
-		"return", "function", "const", "let", "var", "class", "extends", "implements",
-		"import", "export", "from", "default", "async", "await", "try", "catch", "finally",
-		"throw", "new", "this", "super", "typeof", "instanceof", "in", "of", "true", "false",
-		"null", "undefined", "void", "any", "string", "number", "boolean", "object",
-		"interface", "type", "enum", "namespace", "module", "declare", "as", "is"
-	]);
-
-	const identifiers = new Map();
-	let counter = 0;
-	const seen = new Set();
-	const MAX_IDENTIFIERS = 10000; // Limit number of identifiers to prevent DoS
-
-	// First pass: collect all identifiers and assign placeholders
-	const matches = [...code.matchAll(identifierPattern)];
-	for (const match of matches) {
-		if (identifiers.size >= MAX_IDENTIFIERS) {
-			break; // Stop if too many identifiers
+function readOccurrenceCode(cwd, occurrence, contents) {
+	if (!contents.has(occurrence.file)) {
+		let content = null;
+		try {
+			const fullPath = resolve(cwd, occurrence.file);
+			const size = getFileMeta(fullPath)?.size;
+			content = isValidFileSize(size) ? readFileSync(fullPath, "utf-8") : null;
+		} catch (error) {
+			// Deleted or unreadable since it was indexed
 		}
-		
-		const identifier = match[1];
-		// Limit identifier length to prevent ReDoS
-		if (identifier.length > 100) {
-			continue;
-		}
-		
-		if (!keywords.has(identifier) && !seen.has(identifier)) {
-			seen.add(identifier);
-			identifiers.set(identifier, `__VAR${counter++}__`);
-		}
-	}
-
-	// Second pass: replace identifiers with placeholders
-	let normalized = code;
-	for (const [identifier, placeholder] of identifiers) {
-		// Escape special regex characters to prevent ReDoS
-		const escapedIdentifier = identifier.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-		// Use word boundaries to avoid partial matches
-		const regex = new RegExp(`\\b${escapedIdentifier}\\b`, "g");
-		normalized = normalized.replace(regex, placeholder);
+		contents.set(occurrence.file, content);
 	}
-
-	return normalized;
+	const content = contents.get(occurrence.file);
+	return content === null ? null : content.slice(occurrence.range[0], occurrence.range[1]);
 }
 
 /**
- * Normalizes code by removing whitespace, comments, and normalizing identifiers
+ * Finds clones shared with other files of the lint run (always token-based).
+ * Each file is compared against files linted before it in the same run, or in
+ * previous runs when a cache file is configured.
  */
-function normalizeCode(code) {
-	const lines = code.split("\n");
-	const normalized = [];
-	for (const line of lines) {
-		// Remove comments
-		const withoutComments = line.split("//")[0].split("/*")[0];
-		// Normalize whitespace
-		const normalizedLine = withoutComments.trim().replace(/\s+/g, " ");
-		if (normalizedLine.length > 0) {
-			normalized.push(normalizedLine);
-		}
+function findCrossFileDuplicates(filename, cwd, content, tokens, { minTokens, minLines, normalization, cacheFile }) {
+	if (!Array.isArray(tokens)) {
+		return [];
 	}
-	const codeWithoutWhitespace = normalized.join("\n");
-	
-	// Normalize identifiers to detect structural duplication
-	return normalizeIdentifiers(codeWithoutWhitespace);
-}
 
-/**
- * Calculates similarity percentage between two code blocks
- */
-function calculateSimilarity(code1, code2) {
-	const normalized1 = normalizeCode(code1);
-	const normalized2 = normalizeCode(code2);
+	const index = getSharedCloneIndex({ cwd, minTokens, normalization, cacheFile });
+	const fileKey = relative(cwd, filename).split(sep).join("/");
+	const matches = index.updateFile(fileKey, tokens, getFileMeta(filename) || {});
 
-	if (normalized1 === normalized2) return 100;
-
-	const lines1 = normalized1.split("\n");
-	const lines2 = normalized2.split("\n");
-
-	const maxLen = Math.max(lines1.length, lines2.length);
-	if (maxLen === 0) return 0;
-
-	let matches = 0;
-	const minLen = Math.min(lines1.length, lines2.length);
-
-	for (let i = 0; i < minLen; i++) {
-		if (lines1[i] === lines2[i]) {
-			matches++;
+	// Group the other copies by the duplicated range in this file
+	const groups = new Map();
+	for (const { original, duplicate } of matches) {
+		if (original.file === fileKey) {
+			continue; // Same-file clones are reported by the in-file detector
 		}
-	}
-
-	return (matches / maxLen) * 100;
-}
-
-/**
- * Extracts code blocks from file content
- */
-function extractCodeBlocks(content, minLines = MIN_DUPLICATION_LINES) {
-	const lines = content.split("\n");
-	const blocks = [];
-	const step = Math.max(1, Math.floor(minLines / 2));
-
-	for (let i = 0; i <= lines.length - minLines; i += step) {
-		const block = lines.slice(i, i + minLines).join("\n");
-		const blockLines = block.split("\n");
-		const nonEmptyLines = [];
-
-		for (const line of blockLines) {
-			const trimmed = line.trim();
-			if (
-				trimmed.length > 0 &&
-				!trimmed.startsWith("//") &&
-				!trimmed.startsWith("/*") &&
-				!trimmed.startsWith("*") &&
-				!trimmed.startsWith("*/")
-			) {
-				nonEmptyLines.push(line);
-			}
+		const spansEnoughLines = [original, duplicate].some(
+			(occurrence) => occurrence.end.line - occurrence.start.line + 1 >= minLines,
+		);
+		if (!spansEnoughLines) {
+			continue;
 		}
 
-		if (nonEmptyLines.length >= minLines * 0.7) {
-			blocks.push({
-				startLine: i + 1,
-				endLine: i + minLines,
-				content: block,
-				normalized: normalizeCode(block),
-			});
+		const key = `${duplicate.range[0]}:${duplicate.range[1]}`;
+		if (!groups.has(key)) {
+			groups.set(key, { duplicate, others: [] });
 		}
+		groups.get(key).others.push(original);
 	}
 
-	return blocks;
+	// The other files are read to tell exact copies from renamed ones
+	const contents = new Map();
+	return [...groups.values()].map(({ duplicate, others }) => ({
+		startLine: duplicate.start.line,
+		endLine: duplicate.end.line,
+		loc: { start: duplicate.start, end: duplicate.end },
+		cloneType: getCloneType(
+			[
+				content.slice(duplicate.range[0], duplicate.range[1]),
+				...others.map((other) => readOccurrenceCode(cwd, other, contents)).filter((code) => code !== null),
+			],
+			100,
+		),
+		otherLocations: others
+			.map((other) => `${other.file}:${other.start.line}-${other.end.line}`)
+			.join(", "),
+	}));
 }
 
+// Options schema, shared with the project config file (see utils/project-config.js)
+const OPTIONS_SCHEMA = {
+	type: "object",
+	properties: {
+		minLines: {
+			type: "number",
+			default: MIN_DUPLICATION_LINES,
+		},
+		minSimilarity: {
+			type: "number",
+			default: MIN_SIMILARITY,
+		},
+		similarityAlgorithm: {
+			type: "string",
+			enum: SIMILARITY_ALGORITHMS,
+			default: "lcs",
+			description: "Similarity scorer of the line detector: longest common subsequence of lines or Jaccard index of tokens",
+		},
+		minTokens: {
+			type: "number",
+			default: MIN_DUPLICATION_TOKENS,
+			description: "Minimum number of tokens for the token-based detector",
+		},
+		normalization: {
+			type: "string",
+			enum: NORMALIZATION_LEVELS,
+			default: "identifiers",
+			description: "What may differ between copies: nothing (exact), identifier names (identifiers) or also literal values (literals)",
+		},
+		significantIdentifiers: {
+			type: "array",
+			items: {
+				type: "string",
+			},
+			description: "Identifiers never abstracted by the normalization, such as API names (\"*\" matches any identifier characters, e.g. \"use*\")",
+		},
+		detector: {
+			type: "string",
+			enum: DETECTORS,
+			default: "token",
+			description: "Detection engine: token sequences (exact and renamed clones) or line windows (near-miss clones)",
+		},
+		crossFile: {
+			type: "boolean",
+			default: false,
+			description: "Also compare against the other files of the lint run (token-based)",
+		},
+		cacheFile: {
+			type: "string",
+			description: "File, relative to the working directory, where the cross-file index is persisted between runs",
+		},
+		maxReports: {
+			type: "number",
+			default: MAX_REPORTS,
+			description: "Maximum number of duplication groups reported per file",
+		},
+		excludedPaths: {
+			type: "array",
+			items: {
+				type: "string",
+			},
+			description: "Gitignore-style patterns (relative to the working directory) to exclude from this rule",
+		},
+	},
+	additionalProperties: false,
+};
+
 export default {
 	meta: {
 		type: "suggestion",
@@ -168,34 +184,24 @@ export default {
 		},
 		messages: {
 			codeDuplication:
-				"Found duplicated code ({{similarity}}% similar) at lines {{startLine}}-{{endLine}}. Consider extracting into a shared utility, hook, or component.",
+				"Found duplicated code ({{cloneType}}, {{similarity}}% similar) at lines {{startLine}}-{{endLine}}, also at lines {{otherLocations}}. Consider extracting into a shared utility, hook, or component.",
+			crossFileDuplication:
+				"Found duplicated code ({{cloneType}}) at lines {{startLine}}-{{endLine}}, also in {{otherLocations}}. Consider extracting into a shared utility, hook, or component.",
+			invalidBaseline: "{{message}}. The baseline is ignored until it is fixed.",
+			invalidConfig: "{{message}}\nThe configuration file is ignored until it is fixed.",
 		},
-		schema: [
-			{
-				type: "object",
-				properties: {
-					minLines: {
-						type: "number",
-						default: MIN_DUPLICATION_LINES,
-					},
-					minSimilarity: {
-						type: "number",
-						default: MIN_SIMILARITY,
-					},
-					excludedPaths: {
-						type: "array",
-						items: {
-							type: "string",
-						},
-						description: "Array of path patterns to exclude from this rule",
-					},
-				},
-				additionalProperties: false,
-			},
-		],
+		schema: [OPTIONS_SCHEMA],
 	},
 	create(context) {
-		const options = context.options[0] || {};
+		const cwd = context.cwd || context.getCwd();
+		// Rule options take precedence over the project config file; excluded paths add up
+		const options = getLintRuleConfig(cwd, "no-code-duplication", OPTIONS_SCHEMA, context.options[0], (error) =>
+			context.report({
+				loc: { line: 1, column: 0 },
+				messageId: "invalidConfig",
+				data: { message: error.message },
+			}),
+		);
 		
 		// Validate and sanitize minLines input
 		let minLines = MIN_DUPLICATION_LINES;
@@ -209,6 +215,50 @@ export default {
 			minSimilarity = Math.max(0, Math.min(100, options.minSimilarity));
 		}
 		
+		const similarityAlgorithm = SIMILARITY_ALGORITHMS.includes(options.similarityAlgorithm)
+			? options.similarityAlgorithm
+			: "lcs";
+		
+		// Validate and sanitize minTokens input
+		let minTokens = MIN_DUPLICATION_TOKENS;
+		if (typeof options.minTokens === "number" && options.minTokens > 0 && options.minTokens <= 10000) {
+			minTokens = Math.floor(options.minTokens);
+		}
+		
+		const detector = DETECTORS.includes(options.detector) ? options.detector : "token";
+		
+		const normalization = NORMALIZATION_LEVELS.includes(options.normalization)
+			? options.normalization
+			: "identifiers";
+		
+		// Validate and sanitize significantIdentifiers input
+		let significantIdentifiers = [];
+		if (Array.isArray(options.significantIdentifiers)) {
+			significantIdentifiers = options.significantIdentifiers
+				.filter((name) => typeof name === "string" && name.length > 0 && name.length <= 100)
+				.slice(0, 1000); // Limit to 1000 identifiers
+		}
+		
+		const crossFile = options.crossFile === true;
+		
+		// Validate and sanitize cacheFile input
+		let cacheFile = null;
+		if (
+			typeof options.cacheFile === "string" &&
+			options.cacheFile.length > 0 &&
+			options.cacheFile.length <= 4096 &&
+			!options.cacheFile.includes("..") &&
+			!options.cacheFile.includes("~")
+		) {
+			cacheFile = options.cacheFile;
+		}
+		
+		// Validate and sanitize maxReports input
+		let maxReports = MAX_REPORTS;
+		if (typeof options.maxReports === "number" && options.maxReports > 0 && options.maxReports <= 1000) {
+			maxReports = Math.floor(options.maxReports);
+		}
+		
 		// Validate and sanitize excludedPaths input
 		let customExcludedPaths = [];
 		if (Array.isArray(options.excludedPaths)) {
@@ -223,7 +273,7 @@ export default {
 			return {};
 		}
 		
-		if (shouldExcludeFile(filename, customExcludedPaths)) {
+		if (shouldExcludeFile(filename, customExcludedPaths, cwd)) {
 			return {};
 		}
 
@@ -237,74 +287,104 @@ export default {
 			return {};
 		}
 
-		// Extract code blocks
-		const blocks = extractCodeBlocks(content, minLines);
-		
-		// Limit number of blocks to prevent DoS (O(n²) comparison)
-		const MAX_BLOCKS = 1000;
-		const limitedBlocks = blocks.slice(0, MAX_BLOCKS);
-
-		// Find duplicates within the same file
-		const duplicates = [];
-		const MAX_COMPARISONS = 10000; // Limit total comparisons
-		let comparisonCount = 0;
-		
-		for (let i = 0; i < limitedBlocks.length; i++) {
-			if (comparisonCount >= MAX_COMPARISONS) {
-				break;
-			}
-			
-			for (let j = i + 1; j < limitedBlocks.length; j++) {
-				comparisonCount++;
-				if (comparisonCount >= MAX_COMPARISONS) {
-					break;
-				}
-				const block1 = limitedBlocks[i];
-				const block2 = limitedBlocks[j];
-
-				// Skip if blocks are too close (likely overlapping)
-				const lineDistance = Math.abs(block1.startLine - block2.startLine);
-				if (lineDistance < minLines) {
-					continue;
-				}
-
-				const similarity = calculateSimilarity(
-					block1.normalized,
-					block2.normalized,
-				);
-
-				if (similarity >= minSimilarity) {
-					duplicates.push({
-						block: block1,
-						similarBlock: block2,
-						similarity: Math.round(similarity),
-					});
-				}
-			}
+		// Duplicates within this file
+		const projectFile = relative(cwd, filename).split(sep).join("/");
+		const groups = analyzeDuplication(
+			[{ file: projectFile, content, tokens: sourceCode.ast.tokens }],
+			{ detector, minLines, minSimilarity, similarityAlgorithm, minTokens, normalization, significantIdentifiers },
+		);
+		const crossFileGroups = crossFile
+			? findCrossFileDuplicates(
+					filename,
+					cwd,
+					content,
+					sourceCode.ast.tokens,
+					{
+						minTokens,
+						minLines,
+						normalization: { level: normalization, significantIdentifiers },
+						cacheFile,
+					},
+				)
+			: [];
+		if (groups.length === 0 && crossFileGroups.length === 0) {
+			return {};
 		}
 
-		// Report duplicates
-		if (duplicates.length > 0) {
-			// Report only the first occurrence to avoid too many reports
-			const firstDuplicate = duplicates[0];
-			const block = firstDuplicate.block;
-
-			return {
-				Program(node) {
+		const lines = sourceCode.lines;
+
+		// Duplicates accepted in the baseline are identified by the code of the reported block
+		const isBaselined = createBaselineFilter(cwd, "no-code-duplication", projectFile, (error) =>
+			context.report({
+				loc: { line: 1, column: 0 },
+				messageId: "invalidBaseline",
+				data: { message: error.message },
+			}),
+		);
+		const isBaselinedBlock = (startLine, endLine) =>
+			isBaselined(
+				getFingerprint(
+					"no-code-duplication",
+					projectFile,
+					lines.slice(startLine - 1, endLine).join("\n"),
+				),
+			);
+
+		return {
+			Program() {
+				// Report one problem per clone group, capped to avoid flooding the output
+				let reportCount = 0;
+				for (const group of groups) {
+					const [first, ...others] = group.blocks;
+					if (reportCount >= maxReports) {
+						break;
+					}
+					if (isBaselinedBlock(first.startLine, first.endLine)) {
+						continue;
+					}
 					context.report({
-						node,
+						loc: first.loc || {
+							start: { line: first.startLine, column: 0 },
+							end: {
+								line: first.endLine,
+								column: (lines[first.endLine - 1] || "").length,
+							},
+						},
 						messageId: "codeDuplication",
 						data: {
-							similarity: firstDuplicate.similarity,
-							startLine: block.startLine,
-							endLine: block.endLine,
+							cloneType: CLONE_TYPES[group.cloneType],
+							similarity: group.similarity,
+							startLine: first.startLine,
+							endLine: first.endLine,
+							otherLocations: others
+								.map((range) => `${range.startLine}-${range.endLine}`)
+								.join(", "),
 						},
 					});
-				},
-			};
-		}
+					reportCount++;
+				}
 
-		return {};
+				for (const group of crossFileGroups) {
+					if (reportCount >= maxReports) {
+						break;
+					}
+					if (isBaselinedBlock(group.startLine, group.endLine)) {
+						continue;
+					}
+					context.report({
+						loc: group.loc,
+						messageId: "crossFileDuplication",
+						data: {
+							cloneType: CLONE_TYPES[group.cloneType],
+							startLine: group.startLine,
+							endLine: group.endLine,
+							otherLocations: group.otherLocations,
+						},
+					});
+					reportCount++;
+				}
+			},
+		};
 	},
 };
 
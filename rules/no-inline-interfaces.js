@@ -3,10 +3,121 @@
  * from being defined inline in components or functions.
  * They should be in a dedicated interfaces folder.
  *
- * This rule can be configured with excluded paths via ESLint options.
+ * This rule can be configured with excluded paths via ESLint options, and
+ * with a `mode` that decides which scopes count as "inline" (see
+ * core/declarations.js).
+ * When the configured target file already exports the name, the report comes
+ * with a suggestion that replaces the declaration with an import from it;
+ * otherwise the message points to the relocate-inline-types codemod, which
+ * creates the target files. Declarations accepted in the project baseline
+ * (see utils/baseline.js) are not reported; an invalid baseline or
+ * configuration file is reported once and ignored.
  */
 
-import { shouldExcludeFile } from "../utils/linter-utils.js";
+import { relative, sep } from "node:path";
+import { KIND_LABELS, MODES, analyzeDeclarations } from "../core/declarations.js";
+import { shouldExcludeFile } from "../core/paths.js";
+import { getLintRuleConfig } from "../utils/project-config.js";
+import { createBaselineFilter, getFingerprint } from "../utils/baseline.js";
+import {
+	DEFAULT_TARGET_PATTERN,
+	buildImportStatement,
+	buildReExportStatement,
+	getImportSpecifier,
+	getTargetExports,
+	resolveTargetPath,
+} from "../utils/interface-relocation.js";
+
+// Appended to reports that cannot offer an import suggestion
+const CODEMOD_HINT = " Run `npx relocate-inline-types` to move it.";
+
+/**
+ * Returns the statement to remove when relocating a declaration: the
+ * declaration itself, or its `export` / `export default` wrapper
+ */
+function getRelocatedStatement(node) {
+	const parent = node.parent;
+	if (
+		parent &&
+		(parent.type === "ExportNamedDeclaration" || parent.type === "ExportDefaultDeclaration")
+	) {
+		return parent;
+	}
+	return node;
+}
+
+/**
+ * Extends a range to whole lines (including the line break) when nothing
+ * else shares those lines, so removing it leaves no blank line behind
+ */
+function getLineRange(text, [start, end]) {
+	const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+	const lineEndIndex = text.indexOf("\n", end);
+	const lineEnd = lineEndIndex === -1 ? text.length : lineEndIndex + 1;
+
+	const before = text.slice(lineStart, start);
+	const after = text.slice(end, lineEnd);
+	if (before.trim() === "" && after.trim() === "") {
+		return [lineStart, lineEnd];
+	}
+	return [start, end];
+}
+
+/**
+ * Finds the offset where a new import should be inserted: after the last
+ * import, or after leading directives such as "use client"
+ */
+function getImportInsertionOffset(program) {
+	let offset = null;
+	for (const statement of program.body) {
+		if (statement.type === "ImportDeclaration") {
+			offset = statement.range[1];
+		} else if (offset === null && statement.type === "ExpressionStatement" && statement.directive) {
+			offset = statement.range[1];
+		} else if (statement.type !== "ExpressionStatement" || !statement.directive) {
+			break;
+		}
+	}
+	return offset;
+}
+
+/**
+ * Checks whether a declaration is referenced in its own file
+ */
+function isReferencedLocally(sourceCode, context, node) {
+	const getDeclaredVariables = sourceCode.getDeclaredVariables
+		? sourceCode.getDeclaredVariables.bind(sourceCode)
+		: context.getDeclaredVariables.bind(context);
+	return getDeclaredVariables(node).some((variable) => variable.references.length > 0);
+}
+
+// Options schema, shared with the project config file (see utils/project-config.js)
+const OPTIONS_SCHEMA = {
+	type: "object",
+	properties: {
+		excludedPaths: {
+			type: "array",
+			items: {
+				type: "string",
+			},
+			description: "Gitignore-style patterns (relative to the working directory) to exclude from this rule",
+		},
+		mode: {
+			type: "string",
+			enum: MODES,
+			default: "strict",
+			description:
+				"strict: report every declaration; component-files: nested ones and top-level ones in files exporting functions or components; nested: only nested ones",
+		},
+		targetPath: {
+			type: "string",
+			default: DEFAULT_TARGET_PATTERN,
+			description:
+				"File where declarations belong, relative to the working directory. Supports {basename}, {dirname} and {name}",
+		},
+	},
+	additionalProperties: false,
+};
 
 export default {
 	meta: {
@@ -19,30 +130,33 @@ export default {
 		},
 		messages: {
 			inlineInterface:
-				"Interface '{{name}}' should be defined in interfaces folder, not inline.",
+				"Interface '{{name}}' should be defined in interfaces folder, not inline.{{hint}}",
 			inlineType:
-				"Type '{{name}}' should be defined in interfaces folder, not inline.",
+				"Type '{{name}}' should be defined in interfaces folder, not inline.{{hint}}",
 			inlineEnum:
-				"Enum '{{name}}' should be defined in interfaces folder, not inline.",
+				"Enum '{{name}}' should be defined in interfaces folder, not inline.{{hint}}",
+			nestedDeclaration:
+				"{{kind}} '{{name}}' is declared inside a function, component or class body. Define it in interfaces folder.{{hint}}",
+			componentFileDeclaration:
+				"{{kind}} '{{name}}' should be defined in interfaces folder, not in a file that exports components or functions.{{hint}}",
+			moveToInterfacesFolder:
+				"Import '{{name}}' from {{target}}, which already declares it, instead.",
+			invalidBaseline: "{{message}}. The baseline is ignored until it is fixed.",
+			invalidConfig: "{{message}}\nThe configuration file is ignored until it is fixed.",
 		},
-		schema: [
-			{
-				type: "object",
-				properties: {
-					excludedPaths: {
-						type: "array",
-						items: {
-							type: "string",
-						},
-						description: "Array of path patterns to exclude from this rule",
-					},
-				},
-				additionalProperties: false,
-			},
-		],
+		hasSuggestions: true,
+		schema: [OPTIONS_SCHEMA],
 	},
 	create(context) {
-		const options = context.options[0] || {};
+		const cwd = context.cwd || context.getCwd();
+		// Rule options take precedence over the project config file; excluded paths add up
+		const options = getLintRuleConfig(cwd, "no-inline-interfaces", OPTIONS_SCHEMA, context.options[0], (error) =>
+			context.report({
+				loc: { line: 1, column: 0 },
+				messageId: "invalidConfig",
+				data: { message: error.message },
+			}),
+		);
 		
 		// Validate and sanitize excludedPaths input
 		let customExcludedPaths = [];
@@ -53,87 +167,139 @@ export default {
 				.slice(0, 100); // Limit to 100 excluded paths
 		}
 
+		const mode = MODES.includes(options.mode) ? options.mode : "strict";
+
+		const targetPattern =
+			typeof options.targetPath === "string" ? options.targetPath : DEFAULT_TARGET_PATTERN;
+
+		// Names exported by each target file, read once per linted file
+		const targetExports = new Map();
+
+		/**
+		 * Builds the suggestion that replaces a declaration with an import from
+		 * its target file, keeping it exported if it was. The target file must
+		 * already export the name: a suggestion can only edit the linted file,
+		 * so the import would not resolve otherwise.
+		 * @returns {Array<object>|null} - Suggestions, or null when the declaration
+		 *   has to be moved with the codemod
+		 */
+		const buildSuggestions = (node, kind) => {
+			const filename = context.getFilename();
+			const name = node.id.name;
+			const targetFile = resolveTargetPath(targetPattern, { filePath: filename, name, cwd });
+
+			// Declarations inside namespaces stay put
+			if (!targetFile || node.parent.type === "TSModuleBlock") {
+				return [];
+			}
+
+			if (!targetExports.has(targetFile)) {
+				targetExports.set(targetFile, getTargetExports(targetFile));
+			}
+			const exportedNames = targetExports.get(targetFile);
+			if (!exportedNames || !exportedNames.has(name)) {
+				return null;
+			}
+
+			const sourceCode = context.sourceCode || context.getSourceCode();
+			const specifier = getImportSpecifier(filename, targetFile);
+			const statement = getRelocatedStatement(node);
+			const isExported = statement !== node;
+			const isDefault = statement.type === "ExportDefaultDeclaration";
+			const isUsed = isReferencedLocally(sourceCode, context, node);
+
+			return [
+				{
+					messageId: "moveToInterfacesFolder",
+					data: {
+						name,
+						target: relative(cwd, targetFile).split(sep).join("/"),
+					},
+					fix(fixer) {
+						const fixes = [];
+						const importStatement = buildImportStatement(name, kind, specifier);
+
+						if (isExported) {
+							// Keep the module's public API: re-export the relocated declaration
+							const reExport = buildReExportStatement(name, kind, {
+								isDefault,
+								specifier: isUsed ? null : specifier,
+							});
+							fixes.push(fixer.replaceText(statement, reExport));
+						} else {
+							fixes.push(fixer.removeRange(getLineRange(sourceCode.text, statement.range)));
+						}
+
+						if (isUsed) {
+							const offset = getImportInsertionOffset(sourceCode.ast);
+							fixes.push(
+								offset === null
+									? fixer.insertTextBeforeRange([0, 0], `${importStatement}\n`)
+									: fixer.insertTextAfterRange([offset, offset], `\n${importStatement}`),
+							);
+						}
+
+						return fixes;
+					},
+				},
+			];
+		};
+
 		// Create a custom shouldExclude function that uses both default and custom paths
 		const shouldExclude = (filePath) => {
 			if (!filePath || typeof filePath !== "string") {
 				return false;
 			}
-			return shouldExcludeFile(filePath, customExcludedPaths);
+			return shouldExcludeFile(filePath, customExcludedPaths, cwd);
 		};
 
 		return {
-			TSInterfaceDeclaration(node) {
+			Program(program) {
 				const filename = context.getFilename();
 				if (shouldExclude(filename)) {
 					return;
 				}
 
-				context.report({
-					node,
-					messageId: "inlineInterface",
-					data: {
-						name: node.id.name,
-					},
+				const sourceCode = context.sourceCode || context.getSourceCode();
+				const declarations = analyzeDeclarations(sourceCode.text, {
+					ast: program,
+					filePath: filename,
+					mode,
+					targetPath: targetPattern,
+					cwd,
 				});
-			},
-			TSTypeAliasDeclaration(node) {
-				const filename = context.getFilename();
-				if (shouldExclude(filename)) {
+				if (declarations.length === 0) {
 					return;
 				}
 
-				// Check if it's a simple type (should be allowed)
-				const typeNode = node.typeAnnotation;
-				if (!typeNode) {
-					return;
-				}
+				// Findings accepted in the baseline are not reported
+				const projectFile = relative(cwd, filename).split(sep).join("/");
+				const isBaselined = createBaselineFilter(cwd, "no-inline-interfaces", projectFile, (error) =>
+					context.report({
+						loc: { line: 1, column: 0 },
+						messageId: "invalidBaseline",
+						data: { message: error.message },
+					}),
+				);
 
-				// Allow only simple primitive types and unions of primitives (not literals)
-				const isSimpleType =
-					typeNode.type === "TSStringKeyword" ||
-					typeNode.type === "TSNumberKeyword" ||
-					typeNode.type === "TSBooleanKeyword" ||
-					typeNode.type === "TSNullKeyword" ||
-					typeNode.type === "TSUndefinedKeyword" ||
-					typeNode.type === "TSVoidKeyword" ||
-					typeNode.type === "TSAnyKeyword" ||
-					// Allow unions of primitive types only (string | number | boolean)
-					// But NOT unions with literal types (like "1900" | "1901")
-					(typeNode.type === "TSUnionType" &&
-						typeNode.types.every(
-							(t) =>
-								t.type === "TSStringKeyword" ||
-								t.type === "TSNumberKeyword" ||
-								t.type === "TSBooleanKeyword",
-						)) ||
-					(typeNode.type === "TSFunctionType" &&
-						!typeNode.typeAnnotation?.typeAnnotation?.type?.includes("Object"));
-
-				// Report if it's NOT a simple type (includes literal types, unions with literals, objects, etc.)
-				if (!isSimpleType) {
+				for (const { node, kind, name, messageId } of declarations) {
+					if (isBaselined(getFingerprint("no-inline-interfaces", projectFile, `${kind}:${name}`))) {
+						continue;
+					}
+
+					const suggestions = buildSuggestions(node, kind);
 					context.report({
 						node,
-						messageId: "inlineType",
+						messageId,
 						data: {
-							name: node.id.name,
+							name,
+							kind: KIND_LABELS[kind],
+							hint: suggestions ? "" : CODEMOD_HINT,
 						},
+						suggest: suggestions || [],
 					});
 				}
 			},
-			TSEnumDeclaration(node) {
-				const filename = context.getFilename();
-				if (shouldExclude(filename)) {
-					return;
-				}
-
-				context.report({
-					node,
-					messageId: "inlineEnum",
-					data: {
-						name: node.id.name,
-					},
-				});
-			},
 		};
 	},
 };
@@ -5,354 +5,531 @@
  * Detects repeated code blocks of significant length (10+ lines) that appear
  * in multiple files or multiple times in the same file.
  *
+ * Usage: check-code-duplication [paths...] [--all] [--since <ref>] [--format <name>] [--output-file <path>]
+ * Analyses the staged files by default and prints a human-readable report;
+ * --format json|sarif|junit|checkstyle produces a machine-readable one.
+ * Findings accepted in .linter-rules-baseline.json (written with
+ * --update-baseline) do not fail the check, and neither do findings silenced
+ * with `// linter-rules-disable-next-line <check>` comments (see
+ * utils/suppressions.js); --require-suppression-reason fails on comments
+ * without a reason. With --watch, the files that change are checked again
+ * and the new and resolved findings are printed (see scripts/utils/watch.js).
+ * The staged files (or the files changed since --since) are looked up in an
+ * index of every tracked file, so code copied from a file outside the commit
+ * is reported as duplicating that existing code; only duplication involving
+ * the selected files is reported.
+ * With --changed-lines, only duplication involving lines added or modified in
+ * the staged changes (or since --since) is reported, so touching an old file
+ * does not require cleaning up clones elsewhere in it.
+ * --explain shows the lines of each duplicated block aligned with another
+ * block of its group, so near-miss clones can be compared line by line.
+ * The analysis of unchanged files is reused from a cache file (see
+ * utils/duplication-cache.js); --cache-location moves it and --no-cache
+ * disables it. The other files are tokenized and normalized across worker
+ * threads (see core/workers.js).
+ *
  * Can be configured via environment variables:
- * - EXCLUDED_PATHS: comma-separated list of paths to exclude
+ * - EXCLUDED_PATHS: comma-separated list of gitignore-style patterns to exclude
  * - PROJECT_ROOT: root directory of the project (defaults to current working directory)
+ * - EXTENSIONS: comma-separated extensions of the analysed files (default: .ts,.tsx;
+ *   .vue and .svelte files are analysed through their <script> blocks)
+ * - MAX_FILES: number of files analysed per run (default: 1000); larger selections fail
  * - MIN_DUPLICATION_LINES: minimum lines to consider duplication (default: 10)
- * - MIN_SIMILARITY: minimum similarity percentage (default: 80)
+ * - MIN_SIMILARITY: minimum similarity percentage (default: 80, line detector only)
+ * - SIMILARITY_ALGORITHM: "lcs" (default) or "jaccard", scorer of the line detector
+ * - DUPLICATION_NORMALIZATION: "exact", "identifiers" (default) or "literals", what
+ *   may differ between copies
+ * - SIGNIFICANT_IDENTIFIERS: comma-separated identifiers never abstracted (e.g. useState,fetch,use*)
+ * - MIN_DUPLICATION_TOKENS: minimum tokens to consider duplication (default: 50, token detector only)
+ * - DUPLICATION_DETECTOR: "token" (default) or "line"
+ *
+ * The same options can be set in the "no-code-duplication" section of the
+ * project config file (see utils/project-config.js); environment variables
+ * take precedence.
+ *
+ * The check itself is `createDuplicatesFinder` from core/checks.js; this script
+ * selects the files and reports the results.
  */
 
-import { readFileSync } from "node:fs";
 import {
-	getStagedFiles,
+	addSuppressionProblems,
+	buildUsage,
+	createTruncationError,
+	getEnvironmentExcludedPaths,
+	getFilesToCheck,
+	formatBaselineSummary,
+	formatSuppressionProblems,
+	getScriptConfig,
+	getChangedLines,
+	getIndexedFiles,
+	getMaxFiles,
+	getWatchSelection,
+	handleBaseline,
+	parseScriptArgs,
 	projectRoot,
-	shouldExcludeFile,
-	validateAndResolvePath,
-	isValidFileSize,
 } from "./utils/common.js";
-
-// Minimum number of consecutive lines to consider a duplication
-const MIN_DUPLICATION_LINES =
-	parseInt(process.env.MIN_DUPLICATION_LINES, 10) || 10;
-// Minimum similarity percentage to consider code duplicated
-const MIN_SIMILARITY = parseInt(process.env.MIN_SIMILARITY, 10) || 80;
+import {
+	OUTPUT_ARGUMENTS,
+	OUTPUT_USAGE,
+	emitReport,
+	getOutputOptions,
+} from "./utils/formatters.js";
+import { validateWatchOptions, watchProject } from "./utils/watch.js";
+import noCodeDuplication from "../rules/no-code-duplication.js";
+import { createDuplicatesFinder } from "../core/checks.js";
+import { CLONE_TYPES, NORMALIZATION_LEVELS, alignBlocks } from "../core/duplication.js";
+import { getFingerprint } from "../utils/baseline.js";
+import { DEFAULT_CACHE_LOCATION } from "../utils/duplication-cache.js";
+
+// Options from the project config file, shared with the ESLint rule
+const config = getScriptConfig("no-code-duplication", noCodeDuplication.meta.schema[0]);
+
+// Command line arguments of the analysis cache (see utils/duplication-cache.js)
+const CACHE_USAGE = `  --cache-location <path>
+                        Cache file, inside the project (default: ${DEFAULT_CACHE_LOCATION})
+  --no-cache            Analyse every file again instead of reusing the cache`;
+
+// Command line argument of the aligned output
+const EXPLAIN_USAGE = `  --explain             Show the aligned lines of the duplicated blocks, marking the differing ones`;
+
+// Size of the --explain output
+const MAX_EXPLAINED_LINES = 100; // Aligned lines per duplication group
+const EXPLAIN_COLUMN_WIDTH = 50; // Characters of code per block
+
+// Command line argument of the diff-aware mode
+const CHANGED_LINES_USAGE = `  --changed-lines       Only report duplication involving lines added or modified in the staged
+                        changes (or since --since), with counterparts anywhere in the project`;
+
+const USAGE = buildUsage(
+	"check-code-duplication [paths...] [--all] [--since <ref>] [--changed-lines] [--explain] [--format <name>] [--output-file <path>] [--update-baseline] [--watch] [--no-cache] [--cache-location <path>]",
+	CHANGED_LINES_USAGE,
+	EXPLAIN_USAGE,
+	OUTPUT_USAGE,
+	CACHE_USAGE,
+);
 
 /**
- * Normalizes identifiers (variables, functions, parameters) to placeholders
- * This allows detecting structural duplication even when variable names differ
+ * Reads the options set with environment variables, which take precedence
+ * over the project config file
+ * @returns {object} - no-code-duplication options
  */
-function normalizeIdentifiers(code) {
-	// Extract all identifiers (variable names, function names, etc.)
-	// Pattern: word characters that are not keywords
-	const identifierPattern = /\b([a-zA-Z_$][a-zA-Z0-9_$]*)\b/g;
-	const keywords = new Set([
-		"if", "else", "for", "while", "do", "switch", "case", "break", "continue",
-		"return", "function", "const", "let", "var", "class", "extends", "implements",
-		"import", "export", "from", "default", "async", "await", "try", "catch", "finally",
-		"throw", "new", "this", "super", "typeof", "instanceof", "in", "of", "true", "false",
-		"null", "undefined", "void", "any", "string", "number", "boolean", "object",
-		"interface", "type", "enum", "namespace", "module", "declare", "as", "is"
-	]);
+function getEnvironmentConfig() {
+	const overrides = {};
 
-	const identifiers = new Map();
-	let counter = 0;
-	const seen = new Set();
-
-	// First pass: collect all identifiers and assign placeholders
-	const matches = [...code.matchAll(identifierPattern)];
-	for (const match of matches) {
-		const identifier = match[1];
-		if (!keywords.has(identifier) && !seen.has(identifier)) {
-			seen.add(identifier);
-			identifiers.set(identifier, `__VAR${counter++}__`);
-		}
+	// Minimum number of consecutive lines to consider a duplication
+	const minLines = parseInt(process.env.MIN_DUPLICATION_LINES, 10);
+	if (minLines) {
+		overrides.minLines = minLines;
 	}
-
-	// Second pass: replace identifiers with placeholders
-	let normalized = code;
-	for (const [identifier, placeholder] of identifiers) {
-		// Use word boundaries to avoid partial matches
-		const regex = new RegExp(`\\b${identifier}\\b`, "g");
-		normalized = normalized.replace(regex, placeholder);
+	// Minimum similarity percentage to consider code duplicated (line detector)
+	const minSimilarity = parseInt(process.env.MIN_SIMILARITY, 10);
+	if (minSimilarity) {
+		overrides.minSimilarity = minSimilarity;
+	}
+	// Similarity scorer of the line detector: "lcs" (default) or "jaccard"
+	if (process.env.SIMILARITY_ALGORITHM) {
+		overrides.similarityAlgorithm = process.env.SIMILARITY_ALGORITHM === "jaccard" ? "jaccard" : "lcs";
+	}
+	// What may differ between copies: "exact", "identifiers" (default) or "literals"
+	if (process.env.DUPLICATION_NORMALIZATION) {
+		overrides.normalization = NORMALIZATION_LEVELS.includes(process.env.DUPLICATION_NORMALIZATION)
+			? process.env.DUPLICATION_NORMALIZATION
+			: "identifiers";
+	}
+	// Identifiers never abstracted (comma-separated)
+	if (process.env.SIGNIFICANT_IDENTIFIERS !== undefined) {
+		overrides.significantIdentifiers = process.env.SIGNIFICANT_IDENTIFIERS.split(",")
+			.map((name) => name.trim())
+			.filter((name) => name.length > 0);
+	}
+	// Minimum number of tokens to consider a duplication (token detector)
+	const minTokens = parseInt(process.env.MIN_DUPLICATION_TOKENS, 10);
+	if (minTokens) {
+		overrides.minTokens = minTokens;
+	}
+	// Detection engine: "token" (default) or "line"
+	if (process.env.DUPLICATION_DETECTOR) {
+		overrides.detector = process.env.DUPLICATION_DETECTOR === "line" ? "line" : "token";
 	}
 
-	return normalized;
+	const excludedPaths = getEnvironmentExcludedPaths();
+	if (excludedPaths) {
+		overrides.excludedPaths = excludedPaths;
+	}
+	return overrides;
 }
 
 /**
- * Normalizes code by removing whitespace, comments, and normalizing identifiers
+ * Formats the locations of duplicated blocks
  */
-function normalizeCode(code) {
-	const lines = code.split("\n");
-	const normalized = [];
-	for (const line of lines) {
-		// Remove comments
-		const withoutComments = line.split("//")[0].split("/*")[0];
-		// Normalize whitespace
-		const normalizedLine = withoutComments.trim().replace(/\s+/g, " ");
-		if (normalizedLine.length > 0) {
-			normalized.push(normalizedLine);
-		}
-	}
-	const codeWithoutWhitespace = normalized.join("\n");
-	
-	// Normalize identifiers to detect structural duplication
-	return normalizeIdentifiers(codeWithoutWhitespace);
+function formatLocations(blocks) {
+	return blocks.map((block) => `${block.file}:${block.startLine}-${block.endLine}`).join(", ");
 }
 
 /**
- * Calculates similarity percentage between two code blocks
+ * Builds the message of a duplicated block, naming the type of clone. Blocks
+ * copied from existing code (outside the selected files or changed lines)
+ * point at that code.
  */
-function calculateSimilarity(code1, code2) {
-	const normalized1 = normalizeCode(code1);
-	const normalized2 = normalizeCode(code2);
-
-	if (normalized1 === normalized2) return 100;
-
-	// Simple similarity: count matching lines
-	const lines1 = normalized1.split("\n");
-	const lines2 = normalized2.split("\n");
-
-	const maxLen = Math.max(lines1.length, lines2.length);
-	if (maxLen === 0) return 0;
+function getDuplicateMessage(block, others, existingBlocks, cloneType) {
+	const existing = others.filter((other) => existingBlocks.includes(other));
+	if (existing.length === 0) {
+		return `Duplicated code (${CLONE_TYPES[cloneType]}) at lines ${block.startLine}-${block.endLine}, also at ${formatLocations(others)}. Consider extracting it into a shared function, hook or component.`;
+	}
 
-	let matches = 0;
-	const minLen = Math.min(lines1.length, lines2.length);
+	const copies = others.filter((other) => !existingBlocks.includes(other));
+	const alsoAt = copies.length > 0 ? `, also at ${formatLocations(copies)}` : "";
+	return `New code (${CLONE_TYPES[cloneType]}) at lines ${block.startLine}-${block.endLine} duplicates existing ${formatLocations(existing)}${alsoAt}. Consider reusing the existing code instead of copying it.`;
+}
 
-	for (let i = 0; i < minLen; i++) {
-		if (lines1[i] === lines2[i]) {
-			matches++;
+/**
+ * Builds the report of the run (see scripts/utils/formatters.js): one
+ * finding per duplicated block (per selected block when the selection is
+ * compared with the whole project), related to the other blocks of its group
+ */
+function buildReport(files, duplicates) {
+	const findings = [];
+	for (const { cloneType, blocks, reportedBlocks = blocks, existingBlocks = [] } of duplicates) {
+		for (const block of reportedBlocks) {
+			const others = blocks.filter((other) => other !== block);
+			findings.push({
+				ruleId: "no-code-duplication",
+				level: "warning",
+				message: getDuplicateMessage(block, others, existingBlocks, cloneType),
+				file: block.file,
+				startLine: block.startLine,
+				endLine: block.endLine,
+				// Same fingerprint as the rule: the code of the block, not its lines
+				fingerprint: getFingerprint("no-code-duplication", block.file, block.content),
+				related: others.map((other) => ({
+					file: other.file,
+					startLine: other.startLine,
+					endLine: other.endLine,
+					message: "Duplicate",
+				})),
+			});
 		}
 	}
 
-	return (matches / maxLen) * 100;
+	return {
+		tool: "check-code-duplication",
+		rules: [{ id: "no-code-duplication", description: noCodeDuplication.meta.docs.description, level: "warning" }],
+		files,
+		findings,
+	};
 }
 
 /**
- * Extracts code blocks from file content
- * Extracts blocks at intervals to avoid overlapping comparisons
+ * Gets one side of an --explain row: the line number and code of a block line
  */
-function extractCodeBlocks(content, minLines = MIN_DUPLICATION_LINES) {
-	const lines = content.split("\n");
-	const blocks = [];
-
-	// Extract blocks with gaps to avoid overlapping (every 5 lines)
-	const step = Math.max(1, Math.floor(minLines / 2));
-
-	for (let i = 0; i <= lines.length - minLines; i += step) {
-		const block = lines.slice(i, i + minLines).join("\n");
-
-		// Skip blocks that are mostly empty or comments
-		const blockLines = block.split("\n");
-		const nonEmptyLines = [];
-		for (const line of blockLines) {
-			const trimmed = line.trim();
-			if (
-				trimmed.length > 0 &&
-				!trimmed.startsWith("//") &&
-				!trimmed.startsWith("/*") &&
-				!trimmed.startsWith("*") &&
-				!trimmed.startsWith("*/")
-			) {
-				nonEmptyLines.push(line);
-			}
-		}
+function formatAlignedLine(block, lines, line) {
+	if (!line) {
+		return " ".repeat(EXPLAIN_COLUMN_WIDTH + 6);
+	}
+	const text = lines[line - 1].trim();
+	const code =
+		text.length > EXPLAIN_COLUMN_WIDTH
+			? `${text.substring(0, EXPLAIN_COLUMN_WIDTH - 3)}...`
+			: text.padEnd(EXPLAIN_COLUMN_WIDTH);
+	return `${String(block.startLine + line - 1).padStart(5)} ${code}`;
+}
 
-		// Only consider blocks with at least 70% non-empty lines
-		if (nonEmptyLines.length >= minLines * 0.7) {
-			blocks.push({
-				startLine: i + 1,
-				endLine: i + minLines,
-				content: block,
-				normalized: normalizeCode(block),
-			});
+/**
+ * Builds the --explain output of a duplicated block: its lines aligned with
+ * the lines of another block of the group (see alignBlocks in
+ * core/duplication.js), with the differing lines marked
+ */
+function formatAlignment(block, other, normalization) {
+	const lines1 = block.content.split("\n");
+	const lines2 = other.content.split("\n");
+	const rows = alignBlocks(block.content, other.content, normalization);
+	const markers = { changed: "≠", removed: "-", added: "+" };
+
+	const lines = [
+		`   Aligned with ${other.file}:${other.startLine}-${other.endLine} (~ renamed or reformatted, ≠ different, - only in ${block.file}, + only in ${other.file}):`,
+	];
+	for (const { type, line1, line2 } of rows.slice(0, MAX_EXPLAINED_LINES)) {
+		let marker = markers[type] || " ";
+		if (type === "same" && lines1[line1 - 1].replace(/\s+/g, "") !== lines2[line2 - 1].replace(/\s+/g, "")) {
+			marker = "~";
 		}
+		lines.push(
+			`   ${marker} ${formatAlignedLine(block, lines1, line1)} │ ${formatAlignedLine(other, lines2, line2)}`.trimEnd(),
+		);
 	}
-
-	return blocks;
+	if (rows.length > MAX_EXPLAINED_LINES) {
+		lines.push(`   ... and ${rows.length - MAX_EXPLAINED_LINES} more lines`);
+	}
+	return lines;
 }
 
 /**
- * Checks for code duplication in staged files
+ * Builds the pretty (console) output of the duplication groups; with
+ * `explain`, the aligned lines of each group (compared with the
+ * `normalization` options, see normalizeCode in core/duplication.js) replace
+ * the preview
  */
-function checkCodeDuplication() {
-	const stagedFiles = getStagedFiles();
-
-	if (stagedFiles.length === 0) {
-		return; // No files to check
+function formatPretty(duplicates, { explain = false, normalization } = {}) {
+	if (duplicates.length === 0) {
+		return [];
 	}
 
-	const allBlocks = [];
-	const fileContents = new Map();
+	const lines = ["\n⚠️  Warning: Found code duplication that should be refactored:\n"];
 
-	// Read all staged files and extract code blocks
-	for (const file of stagedFiles) {
-		if (shouldExcludeFile(file)) {
-			continue; // Skip excluded files
-		}
+	for (let index = 0; index < duplicates.length; index++) {
+		const duplicate = duplicates[index];
+		const { similarity, cloneType, blocks, isSameFile, fileCount, reportedBlocks = blocks, existingBlocks = [] } =
+			duplicate;
+		const firstBlock = blocks[0];
 
-		try {
-			// Validate and resolve path to prevent path traversal
-			const fullPath = validateAndResolvePath(file, projectRoot);
-			if (!fullPath) {
-				console.error(`Invalid or unsafe path: ${file}`);
-				continue;
-			}
+		lines.push(`\n🔴 Duplication ${index + 1} (${CLONE_TYPES[cloneType]}):`);
 
-			// Validate file size before reading
-			if (!isValidFileSize(file)) {
-				console.error(`File too large or invalid: ${file}`);
-				continue;
+		if (isSameFile) {
+			lines.push(`   Same file: ${firstBlock.file}`);
+			lines.push(`   Found ${blocks.length} similar blocks in the same file`);
+			for (let idx = 0; idx < blocks.length; idx++) {
+				const block = blocks[idx];
+				lines.push(`   Block ${idx + 1}: Lines ${block.startLine}-${block.endLine}`);
 			}
-
-			const content = readFileSync(fullPath, "utf-8");
-			fileContents.set(file, content);
-
-			const blocks = extractCodeBlocks(content);
+		} else {
+			lines.push(`   Multiple files (${fileCount} files):`);
+			const filesMap = new Map();
 			for (const block of blocks) {
-				allBlocks.push({
-					file,
-					...block,
-				});
+				if (!filesMap.has(block.file)) {
+					filesMap.set(block.file, []);
+				}
+				filesMap.get(block.file).push(block);
+			}
+
+			for (const [file, fileBlocks] of filesMap) {
+				lines.push(`   📄 ${file}:`);
+				for (const block of fileBlocks) {
+					lines.push(`      Lines ${block.startLine}-${block.endLine}`);
+				}
 			}
-		} catch (error) {
-			// Skip files that can't be read
 		}
-	}
 
-	// Find duplicates using a hash map for better performance
-	const blockMap = new Map();
-	const duplicates = [];
-	const processed = new Set();
+		if (existingBlocks.length > 0) {
+			lines.push(`   New code duplicates existing ${formatLocations(existingBlocks)}`);
+		}
 
-	// First pass: group blocks by normalized content hash
-	for (const block of allBlocks) {
-		const hash = block.normalized.substring(0, 50); // Use first part as quick hash
-		if (!blockMap.has(hash)) {
-			blockMap.set(hash, []);
+		// Show a preview of the duplicated code (the new code when there is existing code)
+		const previewBlock = reportedBlocks[0];
+		if (explain) {
+			lines.push(`   Similarity: ${similarity}%`);
+			lines.push(
+				...formatAlignment(
+					previewBlock,
+					existingBlocks[0] || blocks.find((block) => block !== previewBlock),
+					normalization,
+				),
+			);
+			continue;
+		}
+		const previewLines = previewBlock.content.split("\n").slice(0, 5);
+		lines.push("   Preview:");
+		for (let idx = 0; idx < previewLines.length; idx++) {
+			const line = previewLines[idx];
+			lines.push(
+				`   ${previewBlock.startLine + idx}: ${line.substring(0, 80)}${line.length > 80 ? "..." : ""}`,
+			);
+		}
+		if (previewBlock.content.split("\n").length > 5) {
+			lines.push("   ...");
 		}
-		blockMap.get(hash).push(block);
 	}
 
-	// Second pass: check similarity within hash groups
-	blockMap.forEach((blocks, hash) => {
-		if (blocks.length < 2) return;
-
-		for (let i = 0; i < blocks.length; i++) {
-			const block1 = blocks[i];
-			const key1 = `${block1.file}:${block1.startLine}`;
-
-			if (processed.has(key1)) continue;
-
-			const similar = [block1];
-
-			for (let j = i + 1; j < blocks.length; j++) {
-				const block2 = blocks[j];
-				const key2 = `${block2.file}:${block2.startLine}`;
-
-				if (processed.has(key2)) continue;
-
-				// Skip if blocks are too close in the same file (likely overlapping)
-				if (block1.file === block2.file) {
-					const lineDistance = Math.abs(block1.startLine - block2.startLine);
-					if (lineDistance < MIN_DUPLICATION_LINES) {
-						continue;
-					}
-				}
+	lines.push("\n💡 Solution:");
+	lines.push("   Consider extracting the duplicated code into:");
+	lines.push("   - A shared utility function");
+	lines.push("   - A custom hook");
+	lines.push("   - A shared component");
+	lines.push("   - A shared service method if it's API-related");
+	lines.push(
+		"\n   Configure via linter-rules.config.json or environment variables: EXCLUDED_PATHS, MIN_DUPLICATION_LINES, MIN_SIMILARITY, MIN_DUPLICATION_TOKENS, DUPLICATION_DETECTOR, SIMILARITY_ALGORITHM, DUPLICATION_NORMALIZATION, SIGNIFICANT_IDENTIFIERS\n",
+	);
+	return lines;
+}
 
-				const similarity = calculateSimilarity(
-					block1.normalized,
-					block2.normalized,
-				);
+/**
+ * Keeps the results of the selected files (the staged files, the files
+ * changed since --since, or their changed lines with --changed-lines): the
+ * duplication groups with a block in the selection, reported on those blocks,
+ * and the suppression problems and read errors of the selected files. The
+ * other blocks of the groups are existing code, anywhere in the project.
+ * @param {object} result - Result of the check of the selection and the tracked files
+ * @param {string[]} files - Selected files
+ * @param {Map<string, Array<number[]>>|null} changedLines - Changed line ranges by
+ *   file with --changed-lines, or null to select whole files
+ * @returns {object} - Result restricted to the selected files
+ */
+function restrictToSelection(result, files, changedLines) {
+	const selectedFiles = new Set(files);
+	const isSelected = (block) =>
+		selectedFiles.has(block.file) &&
+		(!changedLines ||
+			(changedLines.get(block.file) || []).some(
+				([start, end]) => start <= block.endLine && block.startLine <= end,
+			));
+
+	return {
+		...result,
+		files: result.files.filter((file) => selectedFiles.has(file)),
+		duplicates: result.duplicates
+			.map((group) => ({
+				...group,
+				reportedBlocks: group.blocks.filter(isSelected),
+				existingBlocks: group.blocks.filter((block) => !isSelected(block)),
+			}))
+			.filter(({ reportedBlocks }) => reportedBlocks.length > 0),
+		suppressionProblems: result.suppressionProblems.filter(({ file }) => selectedFiles.has(file)),
+		errors: result.errors.filter(({ file }) => selectedFiles.has(file)),
+	};
+}
 
-				if (similarity >= MIN_SIMILARITY) {
-					similar.push(block2);
-					processed.add(key2);
-				}
-			}
+/**
+ * Applies the baseline to the results of a run
+ * @returns {{report: object, baseline: object, newDuplicates: Array<object>}} - Report of
+ *   the new findings (with the suppression problems), baseline outcome and
+ *   duplication groups with new findings
+ */
+function applyBaselineToResult(result, update) {
+	const { duplicates } = result;
+	const report = buildReport(result.files, duplicates);
+	const baseline = handleBaseline(report, "no-code-duplication", update);
+
+	// Groups with at least one block not accepted by the baseline are reported
+	// (findings follow the blocks order)
+	const newFindings = new Set(baseline.newFindings);
+	let findingIndex = 0;
+	const newDuplicates = duplicates.filter(
+		({ blocks, reportedBlocks = blocks }) =>
+			reportedBlocks.map(() => newFindings.has(report.findings[findingIndex++])).includes(true),
+	);
+
+	report.findings = baseline.newFindings;
+	report.baselinedCount = baseline.baselinedCount;
+	report.fixedBaselineEntries = baseline.fixedEntries;
+	addSuppressionProblems(report, result.suppressionProblems);
+	return { report, baseline, newDuplicates };
+}
 
-			if (similar.length > 1) {
-				// Check if it's in the same file (internal duplication) or different files
-				const uniqueFiles = new Set(similar.map((b) => b.file));
+/**
+ * Gets the changed lines analysed with --changed-lines: the staged changes,
+ * or the changes since the --since ref
+ * @throws {Error} - If the option is combined with another file selection, or git fails
+ */
+function getChangedLinesSelection({ paths, all, since, watch, "update-baseline": updateBaseline }) {
+	if (paths.length > 0 || all || watch || updateBaseline) {
+		throw new Error("--changed-lines cannot be combined with path arguments, --all, --watch or --update-baseline");
+	}
+	const changedLines = getChangedLines(since);
+	if (!changedLines) {
+		throw new Error(
+			since
+				? `Cannot compare against "${since}": unknown ref or not a git repository`
+				: "Cannot read the staged changes: not a git repository",
+		);
+	}
+	if (changedLines.size > getMaxFiles()) {
+		throw createTruncationError();
+	}
+	return changedLines;
+}
 
-				duplicates.push({
-					blocks: similar,
-					isSameFile: uniqueFiles.size === 1,
-					fileCount: uniqueFiles.size,
-				});
+/**
+ * Main function
+ */
+async function main() {
+	const args = parseScriptArgs(USAGE, {
+		booleans: ["no-cache", "changed-lines", "explain"],
+		strings: [...OUTPUT_ARGUMENTS.strings, "cache-location"],
+	});
+	const output = getOutputOptions(args, USAGE);
+	if (args.watch) {
+		validateWatchOptions(output, USAGE);
+	}
 
-				processed.add(key1);
+	const environmentConfig = getEnvironmentConfig();
+	let selection;
+	let selectedFiles = null;
+	let changedLines = null;
+	let finder;
+	try {
+		if (args["changed-lines"]) {
+			changedLines = getChangedLinesSelection(args);
+			selectedFiles = [...changedLines.keys()];
+		} else if (args.watch) {
+			selection = getWatchSelection(args, config.excludedPaths);
+		} else {
+			selection = getFilesToCheck(args, config.excludedPaths);
+			if (args.paths.length === 0 && !args.all && selection.files.length > 0) {
+				selectedFiles = selection.files;
 			}
 		}
-	});
-
-	// Report duplicates
-	if (duplicates.length > 0) {
-		console.error(
-			"\n⚠️  Warning: Found code duplication that should be refactored:\n",
-		);
+		if (selection && selection.truncated) {
+			throw createTruncationError();
+		}
+		if (selectedFiles) {
+			// The staged or changed code is looked up in every tracked file
+			selection = { files: [...new Set([...selectedFiles, ...getIndexedFiles()])] };
+		}
+		finder = createDuplicatesFinder({
+			cwd: projectRoot,
+			config: environmentConfig,
+			// EXCLUDED_PATHS replaces the config file's paths, as in the file selection
+			replaceExcludedPaths: true,
+			requireSuppressionReason: args["require-suppression-reason"],
+			cache: !args["no-cache"],
+			cacheLocation: args["cache-location"],
+		});
+		await finder.update(selection.files);
+	} catch (error) {
+		console.error(`\n❌ Error: ${error.message}\n`);
+		process.exit(1);
+	}
 
-		for (let index = 0; index < duplicates.length; index++) {
-			const duplicate = duplicates[index];
-			const { blocks, isSameFile, fileCount } = duplicate;
-			const firstBlock = blocks[0];
-
-			console.error(`\n🔴 Duplication ${index + 1}:`);
-
-			if (isSameFile) {
-				console.error(`   Same file: ${firstBlock.file}`);
-				console.error(
-					`   Found ${blocks.length} similar blocks in the same file`,
-				);
-				for (let idx = 0; idx < blocks.length; idx++) {
-					const block = blocks[idx];
-					console.error(
-						`   Block ${idx + 1}: Lines ${block.startLine}-${block.endLine}`,
-					);
-				}
-			} else {
-				console.error(`   Multiple files (${fileCount} files):`);
-				const filesMap = new Map();
-				for (const block of blocks) {
-					if (!filesMap.has(block.file)) {
-						filesMap.set(block.file, []);
-					}
-					filesMap.get(block.file).push(block);
-				}
+	const result = selectedFiles
+		? restrictToSelection(finder.getResult(), selectedFiles, changedLines)
+		: finder.getResult();
+	for (const { file, message } of result.errors) {
+		console.error(`${message}: ${file}`);
+	}
 
-				for (const [file, fileBlocks] of filesMap) {
-					console.error(`   📄 ${file}:`);
-					for (const block of fileBlocks) {
-						console.error(`      Lines ${block.startLine}-${block.endLine}`);
-					}
-				}
-			}
+	const { report, baseline, newDuplicates } = applyBaselineToResult(result, args["update-baseline"]);
+	const written = emitReport(report, output, [
+		...formatPretty(newDuplicates, {
+			explain: args.explain,
+			normalization: {
+				level: environmentConfig.normalization || config.normalization,
+				significantIdentifiers: environmentConfig.significantIdentifiers || config.significantIdentifiers,
+			},
+		}),
+		...formatBaselineSummary(baseline),
+		...formatSuppressionProblems(result.suppressionProblems),
+	]);
 
-			// Show a preview of the duplicated code
-			const previewLines = firstBlock.content.split("\n").slice(0, 5);
-			console.error("   Preview:");
-			for (let idx = 0; idx < previewLines.length; idx++) {
-				const line = previewLines[idx];
-				console.error(
-					`   ${firstBlock.startLine + idx}: ${line.substring(0, 80)}${line.length > 80 ? "..." : ""}`,
-				);
-			}
-			if (firstBlock.content.split("\n").length > 5) {
-				console.error("   ...");
-			}
-		}
+	if (args.watch) {
+		watchProject({
+			checker: finder,
+			files: selection.files,
+			isWatched: selection.isWatched,
+			getFolders: selection.getFolders,
+			getReport: (changedResult) => applyBaselineToResult(changedResult, false).report,
+			report,
+		});
+		return;
+	}
 
-		console.error("\n💡 Solution:");
-		console.error("   Consider extracting the duplicated code into:");
-		console.error("   - A shared utility function");
-		console.error("   - A custom hook");
-		console.error("   - A shared component");
-		console.error("   - A shared service method if it's API-related");
-		console.error(
-			"\n   Configure via environment variables: EXCLUDED_PATHS, MIN_DUPLICATION_LINES, MIN_SIMILARITY\n",
-		);
+	const hasSuppressionErrors = result.suppressionProblems.some(({ level }) => level === "error");
 
-		// Exit with error code to block commit
+	// Exit with error code to block commit
+	if (newDuplicates.length > 0 || hasSuppressionErrors || !written) {
 		process.exit(1);
 	}
 }
 
-/**
- * Main function
- */
-function main() {
-	checkCodeDuplication();
-}
-
-main();
-
+main().catch((error) => {
+	console.error(`❌ Error: ${error.message}`);
+	process.exit(1);
+});
@@ -4,195 +4,215 @@
  * Script to verify that there are no interfaces, types, enums, or other TypeScript declarations
  * defined directly in components or functions. They should be in a dedicated interfaces folder.
  *
+ * Usage: check-inline-interfaces [paths...] [--all] [--since <ref>] [--format <name>] [--output-file <path>]
+ * Analyses the staged files by default and prints a human-readable report;
+ * --format json|sarif|junit|checkstyle produces a machine-readable one.
+ * Findings accepted in .linter-rules-baseline.json (written with
+ * --update-baseline) do not fail the check, and neither do findings silenced
+ * with `// linter-rules-disable-next-line <check>` comments (see
+ * utils/suppressions.js); --require-suppression-reason fails on comments
+ * without a reason. With --watch, the files that change are checked again
+ * and the new and resolved findings are printed (see scripts/utils/watch.js).
+ *
+ * Files are parsed with @typescript-eslint/parser (which must be installed)
+ * and classified with the same logic as the no-inline-interfaces rule, including
+ * its `mode` from the project config file. The check itself is
+ * `createInlineInterfacesChecker` from core/checks.js; this script selects the
+ * files and reports the results.
+ *
  * Can be configured via environment variables:
- * - EXCLUDED_PATHS: comma-separated list of paths to exclude
+ * - EXCLUDED_PATHS: comma-separated list of gitignore-style patterns to exclude
  * - PROJECT_ROOT: root directory of the project (defaults to current working directory)
+ * - EXTENSIONS: comma-separated extensions of the analysed files (default: .ts,.tsx;
+ *   .vue and .svelte files are analysed through their <script> blocks)
+ * - MAX_FILES: number of files analysed per run (default: 1000); larger selections fail
+ *
+ * Excluded paths, extensions and the file limit can also be set in the project config file
+ * (see utils/project-config.js); the environment variables take precedence.
  */
 
-import { readFileSync } from "node:fs";
 import {
-	getStagedFiles,
+	addSuppressionProblems,
+	buildUsage,
+	createTruncationError,
+	getEnvironmentExcludedPaths,
+	getFilesToCheck,
+	formatBaselineSummary,
+	formatSuppressionProblems,
+	getScriptConfig,
+	getWatchSelection,
+	handleBaseline,
+	parseScriptArgs,
 	projectRoot,
-	shouldExcludeFile,
-	validateAndResolvePath,
-	isValidFileSize,
 } from "./utils/common.js";
+import {
+	OUTPUT_ARGUMENTS,
+	OUTPUT_USAGE,
+	emitReport,
+	getOutputOptions,
+} from "./utils/formatters.js";
+import { validateWatchOptions, watchProject } from "./utils/watch.js";
+import noInlineInterfaces from "../rules/no-inline-interfaces.js";
+import { createInlineInterfacesChecker } from "../core/checks.js";
+import { getFingerprint } from "../utils/baseline.js";
+
+// Options from the project config file, shared with the ESLint rule
+const config = getScriptConfig("no-inline-interfaces", noInlineInterfaces.meta.schema[0]);
+
+const USAGE = buildUsage(
+	"check-inline-interfaces [paths...] [--all] [--since <ref>] [--format <name>] [--output-file <path>] [--update-baseline] [--watch]",
+	OUTPUT_USAGE,
+);
 
 /**
- * Checks if a file has inline interfaces, types, enums, or other TypeScript declarations
+ * Builds the report of the run (see scripts/utils/formatters.js)
  */
-function checkInlineInterfaces(filePath) {
-	try {
-		// Validate and resolve path to prevent path traversal
-		const fullPath = validateAndResolvePath(filePath, projectRoot);
-		if (!fullPath) {
-			console.error(`Invalid or unsafe path: ${filePath}`);
-			return [];
-		}
+function buildReport(files, declarations) {
+	return {
+		tool: "check-inline-interfaces",
+		rules: [
+			{
+				id: "no-inline-interfaces",
+				description: noInlineInterfaces.meta.docs.description,
+				level: "error",
+			},
+		],
+		files,
+		findings: declarations.map(({ file, startLine, startColumn, kind, name, message }) => ({
+			ruleId: "no-inline-interfaces",
+			level: "error",
+			message,
+			file,
+			startLine,
+			endLine: startLine,
+			startColumn,
+			// Same fingerprint as the rule, independent of the line
+			fingerprint: getFingerprint("no-inline-interfaces", file, `${kind}:${name}`),
+		})),
+	};
+}
 
-		// Validate file size before reading
-		if (!isValidFileSize(filePath)) {
-			console.error(`File too large or invalid: ${filePath}`);
-			return [];
-		}
+/**
+ * Builds the pretty (console) output of the declarations
+ */
+function formatPretty(declarations) {
+	if (declarations.length === 0) {
+		return [];
+	}
 
-		const content = readFileSync(fullPath, "utf-8");
-
-		const issues = [];
-		const lines = content.split("\n");
-
-		// Search for defined interfaces (export interface or interface)
-		for (let index = 0; index < lines.length; index++) {
-			const line = lines[index];
-			const lineNumber = index + 1;
-			const trimmedLine = line.trim();
-
-			// Detect interfaces: "interface Name" or "export interface Name"
-			const interfaceMatch = trimmedLine.match(
-				/^(export\s+)?interface\s+(\w+)/,
-			);
-			if (interfaceMatch) {
-				const interfaceName = interfaceMatch[2];
-
-				// Verify it's not an import
-				if (!trimmedLine.includes("from") && !trimmedLine.includes("import")) {
-					issues.push({
-						line: lineNumber,
-						type: "interface",
-						name: interfaceName,
-						content: trimmedLine,
-					});
-				}
-			}
-
-			// Detect defined types (export type or type)
-			// Only allow simple primitives and unions of primitives (not literals)
-			const typeMatch = trimmedLine.match(/^(export\s+)?type\s+(\w+)\s*=/);
-			if (typeMatch) {
-				const typeName = typeMatch[2];
-
-				// Verify it's not an import
-				if (!trimmedLine.includes("from") && !trimmedLine.includes("import")) {
-					// Extract the type definition part (after the =)
-					const typeDef = trimmedLine.split("=").slice(1).join("=").trim();
-
-					// Check if it contains string literal types (quoted strings)
-					const hasStringLiterals = /["'`][^"'`]+["'`]/.test(typeDef);
-					
-					// Check if it contains number literals (standalone numbers, not part of keywords)
-					// Match numbers that are not preceded/followed by word characters (like in "number")
-					const hasNumberLiterals = /(?:^|[^a-zA-Z_])\d+(?:[^a-zA-Z_]|$)/.test(typeDef);
-					
-					// Check if it's a simple primitive type (string, number, boolean, etc.)
-					const isPrimitiveType = /^(string|number|boolean|null|undefined|void|any)\s*;?$/.test(
-						typeDef,
-					);
-
-					// Check if it's a union of primitives only (string | number | boolean)
-					// Must contain only primitive keywords, no literals, no objects, etc.
-					const isUnionOfPrimitives =
-						/\|\s*/.test(typeDef) &&
-						!hasStringLiterals &&
-						!hasNumberLiterals &&
-						!typeDef.includes("{") &&
-						!typeDef.includes("<") &&
-						/^(string|number|boolean)(\s*\|\s*(string|number|boolean))*\s*;?$/.test(
-							typeDef.replace(/\s/g, ""),
-						);
-
-					// If it's not a simple primitive or union of primitives, report it
-					// This includes: literal types, unions with literals, objects, generics, etc.
-					if (!isPrimitiveType && !isUnionOfPrimitives) {
-						issues.push({
-							line: lineNumber,
-							type: "type",
-							name: typeName,
-							content: trimmedLine.substring(0, 100),
-						});
-					}
-				}
-			}
-
-			// Detect enums: "enum Name" or "export enum Name"
-			const enumMatch = trimmedLine.match(/^(export\s+)?enum\s+(\w+)/);
-			if (enumMatch) {
-				const enumName = enumMatch[2];
-
-				// Verify it's not an import
-				if (!trimmedLine.includes("from") && !trimmedLine.includes("import")) {
-					issues.push({
-						line: lineNumber,
-						type: "enum",
-						name: enumName,
-						content: trimmedLine,
-					});
-				}
-			}
-		}
+	const lines = [
+		"\n❌ Error: Found interfaces, types, enums, or other TypeScript declarations defined directly in components/functions:\n",
+	];
 
-		return issues;
-	} catch (error) {
-		console.error(`Error reading file ${filePath}:`, error.message);
-		return [];
+	let currentFile = null;
+	for (const { file, startLine, kind, name, content } of declarations) {
+		if (file !== currentFile) {
+			lines.push(`\n📄 ${file}:`);
+			currentFile = file;
+		}
+		const firstLine = content.split("\n")[0].trim();
+		lines.push(`   Line ${startLine}: ${kind.toUpperCase()} "${name}" defined inline`);
+		lines.push(`   ${firstLine.substring(0, 100)}${firstLine.length > 100 ? "..." : ""}`);
 	}
+
+	lines.push("\n💡 Solution:");
+	lines.push(
+		"   Interfaces, types, enums, and other TypeScript declarations should be in a dedicated interfaces folder",
+	);
+	lines.push("   following the pattern established in the project.");
+	lines.push("   Run `npx relocate-inline-types` to move them there and rewrite the imports.");
+	lines.push(
+		"\n   Configure excluded paths via linter-rules.config.json or EXCLUDED_PATHS environment variable.\n",
+	);
+	return lines;
 }
 
 /**
- * Main function
+ * Applies the baseline to the results of a run
+ * @returns {{report: object, baseline: object, newDeclarations: Array<object>}} - Report of
+ *   the new findings (with the suppression problems), baseline outcome and
+ *   declarations not accepted by the baseline
  */
-function main() {
-	const stagedFiles = getStagedFiles();
+function applyBaselineToResult(result, update) {
+	const report = buildReport(result.files, result.declarations);
+	const baseline = handleBaseline(report, "no-inline-interfaces", update);
+
+	// Only declarations not accepted by the baseline are reported (findings follow the declarations order)
+	const newFindings = new Set(baseline.newFindings);
+	const newDeclarations = result.declarations.filter((_, index) => newFindings.has(report.findings[index]));
+
+	report.findings = baseline.newFindings;
+	report.baselinedCount = baseline.baselinedCount;
+	report.fixedBaselineEntries = baseline.fixedEntries;
+	addSuppressionProblems(report, result.suppressionProblems);
+	return { report, baseline, newDeclarations };
+}
 
-	if (stagedFiles.length === 0) {
-		return; // No files to check
+/**
+ * Main function
+ */
+async function main() {
+	const args = parseScriptArgs(USAGE, OUTPUT_ARGUMENTS);
+	const output = getOutputOptions(args, USAGE);
+	if (args.watch) {
+		validateWatchOptions(output, USAGE);
 	}
 
-	const allIssues = [];
-
-	for (const file of stagedFiles) {
-		if (shouldExcludeFile(file)) {
-			continue; // Skip excluded files
+	let selection;
+	let checker;
+	try {
+		selection = args.watch
+			? getWatchSelection(args, config.excludedPaths)
+			: getFilesToCheck(args, config.excludedPaths);
+		if (selection.truncated) {
+			throw createTruncationError();
 		}
+		const excludedPaths = getEnvironmentExcludedPaths();
+		checker = await createInlineInterfacesChecker({
+			cwd: projectRoot,
+			config: excludedPaths ? { excludedPaths } : undefined,
+			// EXCLUDED_PATHS replaces the config file's paths, as in the file selection
+			replaceExcludedPaths: true,
+			requireSuppressionReason: args["require-suppression-reason"],
+		});
+		await checker.update(selection.files);
+	} catch (error) {
+		console.error(`\n❌ Error: ${error.message}\n`);
+		process.exit(1);
+	}
 
-		// Check inline interfaces/types/enums
-		const interfaceIssues = checkInlineInterfaces(file);
-		if (interfaceIssues.length > 0) {
-			allIssues.push({
-				file,
-				issues: interfaceIssues,
-			});
-		}
+	const result = checker.getResult();
+	for (const { file, message } of result.errors) {
+		console.error(`${message}: ${file}`);
 	}
 
-	if (allIssues.length > 0) {
-		console.error(
-			"\n❌ Error: Found interfaces, types, enums, or other TypeScript declarations defined directly in components/functions:\n",
-		);
-
-		for (const { file, issues } of allIssues) {
-			console.error(`\n📄 ${file}:`);
-			for (const { line, type, name, content } of issues) {
-				console.error(
-					`   Line ${line}: ${type.toUpperCase()} "${name}" defined inline`,
-				);
-				console.error(
-					`   ${content.substring(0, 100)}${content.length > 100 ? "..." : ""}`,
-				);
-			}
-		}
+	const { report, baseline, newDeclarations } = applyBaselineToResult(result, args["update-baseline"]);
+	const written = emitReport(report, output, [
+		...formatPretty(newDeclarations),
+		...formatBaselineSummary(baseline),
+		...formatSuppressionProblems(result.suppressionProblems),
+	]);
+
+	if (args.watch) {
+		watchProject({
+			checker,
+			files: selection.files,
+			isWatched: selection.isWatched,
+			getFolders: selection.getFolders,
+			getReport: (changedResult) => applyBaselineToResult(changedResult, false).report,
+			report,
+		});
+		return;
+	}
 
-		console.error("\n💡 Solution:");
-		console.error(
-			"   Interfaces, types, enums, and other TypeScript declarations should be in a dedicated interfaces folder",
-		);
-		console.error("   following the pattern established in the project.");
-		console.error(
-			"\n   Configure excluded paths via EXCLUDED_PATHS environment variable.\n",
-		);
+	const hasSuppressionErrors = result.suppressionProblems.some(({ level }) => level === "error");
 
+	if (newDeclarations.length > 0 || hasSuppressionErrors || !written) {
 		process.exit(1);
 	}
 }
 
-main();
-
+main().catch((error) => {
+	console.error(`❌ Error: ${error.message}`);
+	process.exit(1);
+});
@@ -0,0 +1,1394 @@
+#!/usr/bin/env node
+
+/**
+ * Codemod that moves every interface, type and enum flagged by
+ * no-inline-interfaces into the interfaces folder, across the whole project.
+ * - Declarations are appended to their target file (created if needed)
+ * - Declarations nested in functions and classes are hoisted too, unless they
+ *   use type parameters, parameters or other bindings of their scope
+ * - Files that used a moved declaration import it from its target file, and
+ *   exported declarations stay exported from their source file
+ * - Imports and re-exports of moved declarations are rewritten in every file
+ * - Name collisions in a target file are resolved deterministically: identical
+ *   declarations are merged, different ones are prefixed with the source file name
+ *
+ * Requires @typescript-eslint/parser to be installed in the project.
+ *
+ * Usage: relocate-inline-types [--dry-run] [--target <pattern>] [--force]
+ *
+ * Nothing is written when some project files could not be parsed or the
+ * project has more files than are analysed, unless --force is given: their
+ * imports of moved declarations would not be rewritten.
+ *
+ * Can be configured via environment variables:
+ * - EXCLUDED_PATHS: comma-separated list of gitignore-style patterns to exclude
+ * - PROJECT_ROOT: root directory of the project (defaults to current working directory)
+ * - INTERFACES_TARGET_PATH: target file pattern (default: src/interfaces/{basename}.interface.ts)
+ * - MAX_FILES: number of project files analysed (default: 1000, or the `maxFiles` of the project config)
+ *
+ * `mode`, `targetPath` and `excludedPaths` are also read from the "no-inline-interfaces"
+ * section of the project config file (see utils/project-config.js); the
+ * command line and environment variables take precedence.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join, posix, relative, resolve, sep } from "node:path";
+import {
+	getScriptConfig,
+	isValidFileSize,
+	listProjectFiles,
+	loadTypeScriptParser,
+	parseCliArgs,
+	projectRoot,
+	validateAndResolvePath,
+} from "./utils/common.js";
+import { DEFAULT_EXTENSIONS, hasSourceExtension } from "../utils/source-files.js";
+import { getInlineDeclarationKind } from "../utils/declaration-classifier.js";
+import { analyzeDeclarations } from "../core/declarations.js";
+import {
+	DEFAULT_TARGET_PATTERN,
+	buildReExportStatement,
+	getImportSpecifier,
+	resolveTargetPath,
+} from "../utils/interface-relocation.js";
+import noInlineInterfaces from "../rules/no-inline-interfaces.js";
+
+// Extensions tried when resolving an import specifier to a project file
+const RESOLVE_SUFFIXES = ["", ".ts", ".tsx", ".d.ts", "/index.ts", "/index.tsx"];
+
+// Functions whose parameters are bound inside nested declarations
+const FUNCTION_TYPES = new Set(["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"]);
+
+// Parent node types whose `params` are parameter names, not type references
+const SIGNATURE_TYPES = new Set([
+	"TSFunctionType",
+	"TSConstructorType",
+	"TSMethodSignature",
+	"TSCallSignatureDeclaration",
+	"TSConstructSignatureDeclaration",
+	"TSDeclareFunction",
+	"TSEmptyBodyFunctionExpression",
+]);
+
+const USAGE = `Usage: relocate-inline-types [--dry-run] [--target <pattern>] [--force]
+
+  --dry-run             Print the planned moves without writing any file
+  --target <pattern>    Target file pattern (default: ${DEFAULT_TARGET_PATTERN})
+  --force               Write the changes even if some files could not be read or
+                        parsed, or the project has more files than are analysed
+  --help                Show this help`;
+
+/**
+ * Parses command line arguments, printing the usage and exiting on --help or
+ * invalid arguments
+ */
+function parseArgs(argv, config) {
+	try {
+		const { options, positionals } = parseCliArgs(argv, {
+			booleans: ["dry-run", "force", "help"],
+			strings: ["target"],
+		});
+		if (options.help) {
+			console.log(USAGE);
+			process.exit(0);
+		}
+		if (positionals.length > 0) {
+			throw new Error(`Unexpected argument: ${positionals[0]}`);
+		}
+		return {
+			dryRun: Boolean(options["dry-run"]),
+			force: Boolean(options.force),
+			target: options.target || process.env.INTERFACES_TARGET_PATH || config.targetPath || DEFAULT_TARGET_PATTERN,
+		};
+	} catch (error) {
+		console.error(`\n❌ Error: ${error.message}\n`);
+		console.error(USAGE);
+		process.exit(1);
+	}
+}
+
+/**
+ * Converts a path to a forward-slash path relative to the project root
+ */
+function toProjectPath(fullPath) {
+	return relative(projectRoot, fullPath).split(sep).join("/");
+}
+
+/**
+ * Reads the `paths` aliases of the project's tsconfig.json, if any
+ * @returns {Array<{prefix: string, suffix: string, target: string}>} - Wildcard aliases
+ */
+function readPathAliases() {
+	const tsconfigPath = join(projectRoot, "tsconfig.json");
+	try {
+		if (!existsSync(tsconfigPath)) {
+			return [];
+		}
+		// tsconfig.json allows comments and trailing commas
+		const text = readFileSync(tsconfigPath, "utf-8")
+			.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || "")
+			.replace(/,(\s*[}\]])/g, "$1");
+		const { compilerOptions = {} } = JSON.parse(text);
+		const baseUrl = compilerOptions.baseUrl || ".";
+		const aliases = [];
+		for (const [pattern, targets] of Object.entries(compilerOptions.paths || {})) {
+			if (!Array.isArray(targets) || targets.length === 0) {
+				continue;
+			}
+			const [prefix, suffix = ""] = pattern.split("*");
+			const target = posix.join(baseUrl.split(sep).join("/"), targets[0]);
+			aliases.push({ prefix, suffix, target, hasWildcard: pattern.includes("*") });
+		}
+		return aliases;
+	} catch (error) {
+		console.error(`Could not read path aliases from tsconfig.json: ${error.message}`);
+		return [];
+	}
+}
+
+/**
+ * Resolves an import specifier to a project file path, or null for packages
+ * and files outside the analysed set
+ */
+function resolveImport(fromPath, specifier, modules, aliases) {
+	let base = null;
+	if (specifier.startsWith(".")) {
+		base = posix.join(posix.dirname(fromPath), specifier);
+	} else {
+		for (const alias of aliases) {
+			if (alias.hasWildcard && specifier.startsWith(alias.prefix) && specifier.endsWith(alias.suffix)) {
+				const wildcard = specifier.slice(alias.prefix.length, specifier.length - alias.suffix.length);
+				base = posix.normalize(alias.target.replace("*", wildcard));
+				break;
+			}
+			if (!alias.hasWildcard && specifier === alias.prefix) {
+				base = posix.normalize(alias.target);
+				break;
+			}
+		}
+	}
+	if (base === null) {
+		return null;
+	}
+
+	// TypeScript ESM imports may use ".js" for ".ts" files
+	const bases = base.endsWith(".js") ? [base, base.slice(0, -3)] : [base];
+	for (const candidateBase of bases) {
+		for (const suffix of RESOLVE_SUFFIXES) {
+			const candidate = candidateBase + suffix;
+			if (modules.has(candidate)) {
+				return candidate;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Builds an import specifier for a target file, keeping the alias style of
+ * the original specifier when possible
+ */
+function buildSpecifier(fromPath, targetPath, originalSpecifier, aliases) {
+	if (originalSpecifier && !originalSpecifier.startsWith(".")) {
+		for (const alias of aliases) {
+			if (!alias.hasWildcard || !originalSpecifier.startsWith(alias.prefix)) {
+				continue;
+			}
+			const aliasRoot = posix.normalize(alias.target.replace("*", ""));
+			if (targetPath.startsWith(aliasRoot)) {
+				const remainder = targetPath.slice(aliasRoot.length).replace(/(\.d)?\.tsx?$/, "");
+				return `${alias.prefix}${remainder}${alias.suffix}`;
+			}
+		}
+	}
+	return getImportSpecifier(join(projectRoot, fromPath), join(projectRoot, targetPath));
+}
+
+/**
+ * Visits every node below `root`, passing its parent and the key it is stored under
+ */
+function walk(root, visit, parent = null, key = null) {
+	if (visit(root, parent, key) === false) {
+		return;
+	}
+	for (const childKey of Object.keys(root)) {
+		if (childKey === "parent" || childKey === "loc" || childKey === "range") {
+			continue;
+		}
+		const value = root[childKey];
+		const children = Array.isArray(value) ? value : [value];
+		for (const child of children) {
+			if (child && typeof child === "object" && typeof child.type === "string") {
+				walk(child, visit, root, childKey);
+			}
+		}
+	}
+}
+
+/**
+ * Checks whether an identifier is a reference to a binding (as opposed to a
+ * property name, parameter name, declaration name, etc.)
+ */
+function isReferenceIdentifier(parent, key) {
+	if (!parent) {
+		return true;
+	}
+	if (key === "key" && !parent.computed) {
+		return false; // Property and method names, mapped type keys
+	}
+	if (parent.type === "TSEnumMember" && key === "id") {
+		return false;
+	}
+	if (parent.type === "TSQualifiedName" && key === "right") {
+		return false;
+	}
+	if (parent.type === "MemberExpression" && key === "property" && !parent.computed) {
+		return false;
+	}
+	if (parent.type === "TSNamedTupleMember" && key === "label") {
+		return false;
+	}
+	if (parent.type === "TSTypePredicate" && key === "parameterName") {
+		return false;
+	}
+	if (parent.type === "TSImportType" && key === "qualifier") {
+		return false;
+	}
+	if (parent.type === "RestElement" && key === "argument") {
+		return false;
+	}
+	if (SIGNATURE_TYPES.has(parent.type) && (key === "params" || key === "parameters")) {
+		return false;
+	}
+	if (parent.type === "ExportSpecifier" && key === "local") {
+		return true; // `export { Name }` uses the local binding
+	}
+	if (key === "id" || key === "name" || key === "local" || key === "imported" || key === "exported") {
+		return false; // Declaration names, type parameters and module specifiers
+	}
+	return true;
+}
+
+/**
+ * Collects the identifiers referenced inside a node, excluding type
+ * parameters declared inside it
+ * @returns {Array<{name: string, range: number[]}>} - References
+ */
+function collectReferences(root, skipRanges = []) {
+	const references = [];
+	const typeParameters = new Set();
+
+	walk(root, (node, parent, key) => {
+		if (skipRanges.some(([start, end]) => node.range[0] >= start && node.range[1] <= end)) {
+			return false;
+		}
+		if (node.type === "TSTypeParameter") {
+			typeParameters.add(typeof node.name === "string" ? node.name : node.name.name);
+		}
+		if (node.type === "TSMappedType" && node.key) {
+			typeParameters.add(node.key.name);
+		}
+		if ((node.type === "Identifier" || node.type === "JSXIdentifier") && isReferenceIdentifier(parent, key)) {
+			references.push({ name: node.name, range: node.range });
+		}
+		return true;
+	});
+
+	return references.filter((reference) => !typeParameters.has(reference.name));
+}
+
+/**
+ * Collects the names bound by a binding pattern
+ */
+function collectPatternNames(pattern, names) {
+	if (!pattern) {
+		return;
+	}
+	switch (pattern.type) {
+		case "Identifier":
+			names.push(pattern.name);
+			break;
+		case "ObjectPattern":
+			for (const property of pattern.properties) {
+				collectPatternNames(property.type === "RestElement" ? property.argument : property.value, names);
+			}
+			break;
+		case "ArrayPattern":
+			for (const element of pattern.elements) {
+				collectPatternNames(element, names);
+			}
+			break;
+		case "RestElement":
+			collectPatternNames(pattern.argument, names);
+			break;
+		case "AssignmentPattern":
+			collectPatternNames(pattern.left, names);
+			break;
+		default:
+			break;
+	}
+}
+
+/**
+ * Lists the top-level bindings of a module: imports and local declarations
+ * @returns {Map<string, object>} - Binding name to `{ type: "import", declaration, specifier }`
+ *   or `{ type: "local", node }`
+ */
+function getTopLevelBindings(ast) {
+	const bindings = new Map();
+
+	for (const statement of ast.body) {
+		if (statement.type === "ImportDeclaration") {
+			for (const specifier of statement.specifiers) {
+				bindings.set(specifier.local.name, { type: "import", declaration: statement, specifier });
+			}
+			continue;
+		}
+
+		const declaration =
+			statement.type === "ExportNamedDeclaration" || statement.type === "ExportDefaultDeclaration"
+				? statement.declaration
+				: statement;
+		if (!declaration) {
+			continue;
+		}
+
+		if (declaration.type === "VariableDeclaration") {
+			const names = [];
+			for (const declarator of declaration.declarations) {
+				collectPatternNames(declarator.id, names);
+			}
+			for (const name of names) {
+				bindings.set(name, { type: "local", node: declaration });
+			}
+		} else if (declaration.id && declaration.id.type === "Identifier") {
+			bindings.set(declaration.id.name, { type: "local", node: declaration });
+		}
+	}
+
+	return bindings;
+}
+
+/**
+ * Returns the start offset of the comments that directly precede a statement
+ * (JSDoc, etc.), or the statement start if there are none
+ */
+function getLeadingCommentStart(module, statement) {
+	const { content, ast } = module;
+	let start = statement.range[0];
+	const comments = (ast.comments || []).filter((comment) => comment.range[1] <= start);
+	for (let i = comments.length - 1; i >= 0; i--) {
+		const between = content.slice(comments[i].range[1], start);
+		if (between.trim() !== "" || (between.match(/\n/g) || []).length > 1) {
+			break;
+		}
+		start = comments[i].range[0];
+	}
+	return start;
+}
+
+/**
+ * Returns the text range of a statement including its leading comments and
+ * whole lines when nothing else shares them
+ */
+function getRemovalRange(module, statement) {
+	const { content } = module;
+	const start = getLeadingCommentStart(module, statement);
+	const end = statement.range[1];
+	const lineStart = content.lastIndexOf("\n", start - 1) + 1;
+	const lineEndIndex = content.indexOf("\n", end);
+	const lineEnd = lineEndIndex === -1 ? content.length : lineEndIndex + 1;
+	if (content.slice(lineStart, start).trim() === "" && content.slice(end, lineEnd).trim() === "") {
+		return [lineStart, lineEnd];
+	}
+	return [start, end];
+}
+
+/**
+ * Extends the whole-line range of a removed statement over one adjacent blank
+ * line, so removing a block separated by blank lines leaves none behind
+ */
+function withBlankLine(content, [start, end]) {
+	const isWholeLines = (start === 0 || content[start - 1] === "\n") && (end === content.length || content[end - 1] === "\n");
+	if (!isWholeLines) {
+		return [start, end];
+	}
+	const previousStart = start === 0 ? 0 : content.lastIndexOf("\n", start - 2) + 1;
+	const isPreviousBlank = start === 0 || content.slice(previousStart, start).trim() === "";
+	const nextIndex = content.indexOf("\n", end);
+	const nextEnd = nextIndex === -1 ? content.length : nextIndex + 1;
+	if (isPreviousBlank && end < content.length && content.slice(end, nextEnd).trim() === "") {
+		return [start, nextEnd];
+	}
+	if (end === content.length && start > 0 && isPreviousBlank) {
+		return [previousStart, end];
+	}
+	return [start, end];
+}
+
+/**
+ * Builds an import or re-export statement from a list of specifiers
+ * @param {string} keyword - "import" or "export"
+ * @param {Array<{imported: string, local: string, isType: boolean}>} specifiers - Named specifiers
+ * @param {string} source - Module specifier
+ * @param {object} [extra] - Default and namespace bindings (imports only)
+ */
+function buildStatement(keyword, specifiers, source, extra = {}) {
+	const named = specifiers.map(({ imported, local }) =>
+		imported === local ? imported : `${imported} as ${local}`,
+	);
+	const allTypes = specifiers.length > 0 && specifiers.every((specifier) => specifier.isType) && !extra.defaultName && !extra.namespaceName;
+	const typeKeyword = allTypes || extra.isTypeOnly ? "type " : "";
+	const parts = [];
+	if (extra.defaultName) {
+		parts.push(extra.defaultName);
+	}
+	if (extra.namespaceName) {
+		parts.push(`* as ${extra.namespaceName}`);
+	}
+	if (named.length > 0) {
+		const mixed = !allTypes && !extra.isTypeOnly;
+		parts.push(
+			`{ ${specifiers
+				.map((specifier, i) => (mixed && specifier.isType ? `type ${named[i]}` : named[i]))
+				.join(", ")} }`,
+		);
+	}
+	if (keyword === "import") {
+		return `import ${typeKeyword}${parts.join(", ")} from "${source}";`;
+	}
+	return `export ${typeKeyword}${parts.join(", ")} from "${source}";`;
+}
+
+/**
+ * Applies text edits (non-overlapping `{ range, text }`) to a string
+ */
+function applyEdits(content, edits) {
+	let result = content;
+	const sorted = [...edits].sort((a, b) => b.range[0] - a.range[0]);
+	let lastStart = Infinity;
+	for (const { range, text } of sorted) {
+		if (range[1] > lastStart) {
+			continue; // Overlapping edit, keep the first one
+		}
+		result = result.slice(0, range[0]) + text + result.slice(range[1]);
+		lastStart = range[0];
+	}
+	return result;
+}
+
+/**
+ * Reads and parses every project file
+ * @returns {{modules: Map<string, object>, failedFiles: string[]}} - Parsed modules
+ *   by project path, and the files that could not be read or parsed
+ */
+function loadModules(parser, files) {
+	const modules = new Map();
+	const failedFiles = [];
+	for (const file of files) {
+		const fullPath = validateAndResolvePath(file, projectRoot);
+		if (!fullPath || !isValidFileSize(file)) {
+			console.error(`Skipping invalid, unsafe or too large file: ${file}`);
+			failedFiles.push(file);
+			continue;
+		}
+		try {
+			const content = readFileSync(fullPath, "utf-8");
+			const ast = parser.parse(content, {
+				loc: true,
+				range: true,
+				comment: true,
+				jsx: file.endsWith(".tsx"),
+			});
+			modules.set(file, { path: file, fullPath, content, ast, edits: [] });
+		} catch (error) {
+			console.error(`Skipping ${file}: ${error.message}`);
+			failedFiles.push(file);
+		}
+	}
+	return { modules, failedFiles };
+}
+
+/**
+ * Lists the names bound between the Program and a nested declaration: type
+ * parameters, parameters and declarations of the enclosing functions, classes
+ * and blocks (inner scopes override outer ones)
+ * @param {object[]} ancestors - Ancestors of the declaration, from the Program down
+ * @returns {Map<string, object|null>} - Name to its interface, type or enum
+ *   declaration, or null for other bindings
+ */
+function getScopeBindings(ancestors) {
+	const bindings = new Map();
+	const bindNames = (names) => {
+		for (const name of names) {
+			bindings.set(name, null);
+		}
+	};
+
+	for (const ancestor of ancestors.slice(1)) {
+		if (ancestor.typeParameters && Array.isArray(ancestor.typeParameters.params)) {
+			bindNames(ancestor.typeParameters.params.map((parameter) => parameter.name.name || parameter.name));
+		}
+		if (FUNCTION_TYPES.has(ancestor.type)) {
+			const names = [];
+			for (const param of ancestor.params) {
+				collectPatternNames(param.type === "TSParameterProperty" ? param.parameter : param, names);
+			}
+			if (ancestor.type === "FunctionExpression" && ancestor.id) {
+				names.push(ancestor.id.name);
+			}
+			bindNames(names);
+		}
+		if (ancestor.type === "ClassExpression" && ancestor.id) {
+			bindNames([ancestor.id.name]);
+		}
+		if (ancestor.type === "CatchClause") {
+			const names = [];
+			collectPatternNames(ancestor.param, names);
+			bindNames(names);
+		}
+
+		const statements =
+			ancestor.type === "BlockStatement" || ancestor.type === "StaticBlock"
+				? ancestor.body
+				: ancestor.type === "SwitchCase"
+					? ancestor.consequent
+					: [ancestor.init || ancestor.left].filter(Boolean); // for (let ...; ...), for (const ... of ...)
+		for (const statement of statements) {
+			if (statement.type === "VariableDeclaration") {
+				const names = [];
+				for (const declarator of statement.declarations) {
+					collectPatternNames(declarator.id, names);
+				}
+				bindNames(names);
+			} else if (getInlineDeclarationKind(statement)) {
+				bindings.set(statement.id.name, statement);
+			} else if (statement.id && statement.id.type === "Identifier" && statement.type.endsWith("Declaration")) {
+				bindNames([statement.id.name]);
+			}
+		}
+	}
+
+	return bindings;
+}
+
+/**
+ * Finds why a nested declaration cannot be hoisted next to the top-level
+ * ones, or null if it can
+ */
+function getNestedSkipReason(module, node, ancestors) {
+	const name = node.id.name;
+	if (ancestors.some((ancestor) => ancestor.type === "TSModuleDeclaration")) {
+		return "declared inside a namespace";
+	}
+	if (module.bindings.has(name)) {
+		return `declared inside a function or class and shadows top-level "${name}"`;
+	}
+	const scope = ancestors[ancestors.length - 1];
+	module.references = module.references || collectReferences(module.ast);
+	const usedOutside = module.references.some(
+		(reference) =>
+			reference.name === name && (reference.range[0] < scope.range[0] || reference.range[1] > scope.range[1]),
+	);
+	if (usedOutside) {
+		return `declared inside a function or class and "${name}" is also used outside of it`;
+	}
+	return null;
+}
+
+/**
+ * Finds the declarations to move and the reasons others cannot be moved.
+ * Declarations nested in functions and classes are hoisted unless they
+ * depend on the local scope (see resolveDependencies).
+ */
+function collectEntries(modules, targetPattern, targetRoot, mode) {
+	const entries = new Map();
+	const skipped = [];
+
+	for (const module of modules.values()) {
+		// Ambient declaration files and files already in the target folder stay put
+		if (module.path.endsWith(".d.ts") || (targetRoot && module.path.startsWith(targetRoot))) {
+			continue;
+		}
+
+		const bindings = getTopLevelBindings(module.ast);
+		module.bindings = bindings;
+
+		const declarations = analyzeDeclarations(module.content, {
+			ast: module.ast,
+			filePath: module.fullPath,
+			mode,
+			targetPath: targetPattern,
+			cwd: projectRoot,
+		});
+		for (const { node, kind, name, ancestors } of declarations) {
+			const parent = ancestors[ancestors.length - 1];
+			const isTopLevel =
+				parent === module.ast ||
+				((parent.type === "ExportNamedDeclaration" || parent.type === "ExportDefaultDeclaration") &&
+					module.ast.body.includes(parent));
+			const scope = isTopLevel ? module.ast : parent;
+			if (!isTopLevel) {
+				const reason = getNestedSkipReason(module, node, ancestors);
+				if (reason) {
+					skipped.push({ file: module.path, kind, name, reason });
+					continue;
+				}
+			}
+
+			const targetFile = resolveTargetPath(targetPattern, { filePath: module.fullPath, name, cwd: projectRoot });
+			if (!targetFile) {
+				skipped.push({ file: module.path, kind, name, reason: "invalid target path" });
+				continue;
+			}
+
+			const key = `${module.path}::${name}`;
+			if (entries.has(key) && entries.get(key).scope !== scope) {
+				skipped.push({ file: module.path, kind, name, reason: "declared inside several functions or classes" });
+				continue;
+			}
+			if (!entries.has(key)) {
+				entries.set(key, {
+					key,
+					module,
+					name,
+					kind,
+					scope,
+					scopeBindings: isTopLevel ? new Map() : getScopeBindings(ancestors),
+					nodes: [],
+					statements: [],
+					isExported: false,
+					isDefault: false,
+					targetPath: toProjectPath(targetFile),
+					finalName: name,
+					merged: false,
+					skipReason: null,
+				});
+			}
+			const entry = entries.get(key);
+			const statement = isTopLevel && parent !== module.ast ? parent : node;
+			entry.nodes.push(node);
+			entry.statements.push(statement);
+			entry.isExported = entry.isExported || statement !== node;
+			entry.isDefault = entry.isDefault || statement.type === "ExportDefaultDeclaration";
+		}
+	}
+
+	return { entries, skipped };
+}
+
+/**
+ * Resolves the dependencies of every entry and skips declarations that
+ * depend on local values that are not moved
+ */
+function resolveDependencies(entries, modules, aliases, skipped) {
+	for (const entry of entries.values()) {
+		entry.imports = [];
+		entry.localDependencies = new Set();
+		entry.references = [];
+
+		for (const node of entry.nodes) {
+			for (const reference of collectReferences(node)) {
+				entry.references.push(reference);
+				if (reference.name === entry.name) {
+					continue; // Self reference
+				}
+				if (entry.scopeBindings.has(reference.name)) {
+					// Nested declarations can take along the declarations of their scope, nothing else
+					const local = entry.scopeBindings.get(reference.name);
+					const dependency = entries.get(`${entry.module.path}::${reference.name}`);
+					if (local && dependency && dependency.nodes.includes(local)) {
+						entry.localDependencies.add(reference.name);
+					} else {
+						entry.skipReason = entry.skipReason || `depends on local "${reference.name}"`;
+					}
+					continue;
+				}
+				const binding = entry.module.bindings.get(reference.name);
+				if (!binding) {
+					continue; // Global reference
+				}
+				if (binding.type === "import") {
+					entry.imports.push(binding);
+				} else if (entries.has(`${entry.module.path}::${reference.name}`)) {
+					entry.localDependencies.add(reference.name);
+				} else {
+					entry.skipReason = entry.skipReason || `depends on local "${reference.name}"`;
+				}
+			}
+		}
+	}
+
+	// Declarations depending on skipped declarations are skipped too
+	let changed = true;
+	while (changed) {
+		changed = false;
+		for (const entry of entries.values()) {
+			if (entry.skipReason) {
+				continue;
+			}
+			for (const dependency of entry.localDependencies) {
+				const other = entries.get(`${entry.module.path}::${dependency}`);
+				if (other.skipReason) {
+					entry.skipReason = `depends on "${dependency}", which cannot be moved`;
+					changed = true;
+					break;
+				}
+			}
+		}
+	}
+
+	for (const [key, entry] of entries) {
+		if (entry.skipReason) {
+			skipped.push({ file: entry.module.path, kind: entry.kind, name: entry.name, reason: entry.skipReason });
+			entries.delete(key);
+		}
+	}
+
+	// Record which entries are imported from which module, for importer rewrites
+	for (const entry of entries.values()) {
+		for (const binding of entry.imports) {
+			binding.resolvedPath = resolveImport(entry.module.path, binding.declaration.source.value, modules, aliases);
+		}
+	}
+}
+
+/**
+ * Reads the declarations already present in a target file
+ */
+function readExistingTarget(parser, targetPath) {
+	const fullPath = validateAndResolvePath(targetPath, projectRoot);
+	if (!fullPath || !existsSync(fullPath)) {
+		return { content: null, ast: null, declarations: new Map() };
+	}
+	const content = readFileSync(fullPath, "utf-8");
+	const ast = parser.parse(content, { loc: true, range: true, comment: true, jsx: targetPath.endsWith(".tsx") });
+	const declarations = new Map();
+	for (const statement of ast.body) {
+		const declaration = statement.type.startsWith("Export") ? statement.declaration : statement;
+		if (declaration && declaration.id && declaration.id.type === "Identifier") {
+			declarations.set(declaration.id.name, content.slice(declaration.range[0], declaration.range[1]));
+		}
+	}
+	return { content, ast, declarations };
+}
+
+/**
+ * Converts a file name to PascalCase for collision prefixes
+ */
+function toPascalCase(value) {
+	return value
+		.replace(/\.[^.]*$/, "")
+		.split(/[^A-Za-z0-9]+/)
+		.filter(Boolean)
+		.map((part) => part[0].toUpperCase() + part.slice(1))
+		.join("");
+}
+
+/**
+ * Normalizes declaration text for identity comparison
+ */
+function normalizeDeclaration(text) {
+	return text.replace(/\s+/g, " ").replace(/\s*([{}();,:|&=<>])\s*/g, "$1").replace(/;}/g, "}").trim();
+}
+
+/**
+ * Returns the exported declarations of an entry as they will appear in the
+ * target file: leading comments kept, renamed identifiers applied and the
+ * indentation of nested declarations removed
+ */
+function getDeclarationTexts(entry, entries) {
+	const { content } = entry.module;
+	return entry.nodes.map((node, i) => {
+		const edits = [{ range: node.id.range, text: entry.finalName }];
+		for (const reference of collectReferences(node)) {
+			const dependency = entries.get(`${entry.module.path}::${reference.name}`);
+			if (dependency && dependency !== entry && dependency.finalName !== reference.name) {
+				edits.push({ range: reference.range, text: dependency.finalName });
+			}
+		}
+		const shifted = edits.map(({ range, text }) => ({
+			range: [range[0] - node.range[0], range[1] - node.range[0]],
+			text,
+		}));
+		const start = getLeadingCommentStart(entry.module, entry.statements[i]);
+		const comments = content.slice(start, entry.statements[i].range[0]);
+		const declaration = applyEdits(content.slice(node.range[0], node.range[1]), shifted);
+		const indentation = content.slice(content.lastIndexOf("\n", start - 1) + 1, start);
+		const text = `${comments}export ${declaration}`;
+		return /^[ \t]+$/.test(indentation) ? text.split(`\n${indentation}`).join("\n") : text;
+	});
+}
+
+/**
+ * Assigns final names in each target file, merging identical declarations and
+ * prefixing different ones with their source file name
+ */
+function resolveCollisions(parser, entries) {
+	const targets = new Map();
+	const sortedEntries = [...entries.values()].sort(
+		(a, b) => a.module.path.localeCompare(b.module.path) || a.nodes[0].range[0] - b.nodes[0].range[0],
+	);
+
+	for (const entry of sortedEntries) {
+		if (!targets.has(entry.targetPath)) {
+			const existing = readExistingTarget(parser, entry.targetPath);
+			targets.set(entry.targetPath, {
+				path: entry.targetPath,
+				existing,
+				names: new Map(
+					[...existing.declarations].map(([name, text]) => [name, normalizeDeclaration(text)]),
+				),
+				entries: [],
+			});
+		}
+		const target = targets.get(entry.targetPath);
+		const text = normalizeDeclaration(
+			entry.nodes.map((node) => entry.module.content.slice(node.range[0], node.range[1])).join("\n"),
+		);
+
+		if (!target.names.has(entry.name)) {
+			target.names.set(entry.name, text);
+			target.entries.push(entry);
+			continue;
+		}
+		if (target.names.get(entry.name) === text) {
+			entry.merged = true;
+			continue;
+		}
+
+		const prefix = toPascalCase(posix.basename(entry.module.path));
+		let candidate = `${prefix}${entry.name}`;
+		for (let suffix = 2; target.names.has(candidate) && target.names.get(candidate) !== text; suffix++) {
+			candidate = `${prefix}${entry.name}${suffix}`;
+		}
+		entry.finalName = candidate;
+		if (target.names.has(candidate)) {
+			entry.merged = true;
+		} else {
+			target.names.set(candidate, text);
+			target.entries.push(entry);
+		}
+	}
+
+	return targets;
+}
+
+/**
+ * Finds the entry moved out of a module under an exported name
+ */
+function findExportedEntry(entries, modulePath, exportedName) {
+	for (const entry of entries.values()) {
+		if (entry.module.path !== modulePath || !entry.isExported) {
+			continue;
+		}
+		if (exportedName === "default" ? entry.isDefault : entry.name === exportedName && !entry.isDefault) {
+			return entry;
+		}
+	}
+	return null;
+}
+
+/**
+ * Builds the content of each target file
+ */
+function buildTargetFiles(targets, entries, modules, aliases) {
+	const files = new Map();
+
+	for (const target of targets.values()) {
+		if (target.entries.length === 0) {
+			continue;
+		}
+
+		const imports = new Map();
+		const boundNames = new Set(target.names.keys());
+		const addImport = (source, imported, local, isType) => {
+			if (boundNames.has(local)) {
+				return;
+			}
+			boundNames.add(local);
+			if (!imports.has(source)) {
+				imports.set(source, []);
+			}
+			imports.get(source).push({ imported, local, isType });
+		};
+
+		for (const entry of target.entries) {
+			const isType = entry.kind !== "enum";
+
+			// Imports used by the declaration, re-pointed at moved declarations when needed
+			for (const binding of entry.imports) {
+				const { specifier, declaration } = binding;
+				const local = specifier.local.name;
+				const imported =
+					specifier.type === "ImportDefaultSpecifier"
+						? "default"
+						: specifier.type === "ImportNamespaceSpecifier"
+							? "*"
+							: specifier.imported.name || specifier.imported.value;
+				const movedEntry = binding.resolvedPath && imported !== "*"
+					? findExportedEntry(entries, binding.resolvedPath, imported)
+					: null;
+
+				if (movedEntry) {
+					if (movedEntry.targetPath !== target.path) {
+						addImport(
+							buildSpecifier(target.path, movedEntry.targetPath, declaration.source.value, aliases),
+							movedEntry.finalName,
+							local,
+							isType,
+						);
+					}
+					continue;
+				}
+
+				let source = declaration.source.value;
+				if (source.startsWith(".")) {
+					const absolute = posix.join(posix.dirname(entry.module.path), source);
+					if (binding.resolvedPath === target.path) {
+						continue; // Imported from the target file itself
+					}
+					source = getImportSpecifier(join(projectRoot, target.path), join(projectRoot, absolute));
+				}
+				addImport(source, imported, local, isType);
+			}
+
+			// Declarations moved from the same file into another target file
+			for (const dependency of entry.localDependencies) {
+				const other = entries.get(`${entry.module.path}::${dependency}`);
+				if (other && other.targetPath !== target.path) {
+					addImport(
+						getImportSpecifier(join(projectRoot, target.path), join(projectRoot, other.targetPath)),
+						other.finalName,
+						other.finalName,
+						isType,
+					);
+				}
+			}
+		}
+
+		const importLines = [...imports].map(([source, specifiers]) => {
+			const defaultSpecifier = specifiers.find((specifier) => specifier.imported === "default");
+			const namespaceSpecifier = specifiers.find((specifier) => specifier.imported === "*");
+			const named = specifiers.filter((specifier) => specifier.imported !== "default" && specifier.imported !== "*");
+			return buildStatement("import", named, source, {
+				defaultName: defaultSpecifier && defaultSpecifier.local,
+				namespaceName: namespaceSpecifier && namespaceSpecifier.local,
+				isTypeOnly: specifiers.every((specifier) => specifier.isType),
+			});
+		});
+
+		const declarations = target.entries.flatMap((entry) => getDeclarationTexts(entry, entries));
+
+		const { existing } = target;
+		let content;
+		if (existing.content === null) {
+			content = `${[importLines.join("\n"), declarations.join("\n\n")].filter(Boolean).join("\n\n")}\n`;
+		} else {
+			const edits = [];
+			if (importLines.length > 0) {
+				const lastImport = [...existing.ast.body].reverse().find((statement) => statement.type === "ImportDeclaration");
+				const offset = lastImport ? lastImport.range[1] : 0;
+				edits.push({
+					range: [offset, offset],
+					text: lastImport ? `\n${importLines.join("\n")}` : `${importLines.join("\n")}\n\n`,
+				});
+			}
+			const trimmedEnd = existing.content.replace(/\s*$/, "").length;
+			edits.push({
+				range: [trimmedEnd, existing.content.length],
+				text: `\n\n${declarations.join("\n\n")}\n`,
+			});
+			content = applyEdits(existing.content, edits);
+		}
+
+		files.set(target.path, content);
+	}
+
+	return files;
+}
+
+/**
+ * Plans the edits of source files: removed declarations and new imports
+ */
+function planSourceEdits(entries, modules) {
+	const byModule = new Map();
+	for (const entry of entries.values()) {
+		if (!byModule.has(entry.module.path)) {
+			byModule.set(entry.module.path, []);
+		}
+		byModule.get(entry.module.path).push(entry);
+	}
+
+	for (const [modulePath, moduleEntries] of byModule) {
+		const module = modules.get(modulePath);
+		const removals = moduleEntries
+			.flatMap((entry) =>
+				entry.statements.map((statement) => ({ entry, statement, range: getRemovalRange(module, statement) })),
+			)
+			.sort((a, b) => a.range[0] - b.range[0]);
+		const removedRanges = removals.map(({ range }) => range);
+
+		// References that remain in the file once the declarations are gone
+		const remainingNames = new Set(
+			collectReferences(module.ast, removedRanges).map((reference) => reference.name),
+		);
+
+		// Exported declarations are replaced with a re-export, as the rule's suggestion does
+		const reExported = new Set();
+		let previousEnd = 0;
+		for (const { entry, statement, range } of removals) {
+			const isExport = statement.type === "ExportNamedDeclaration" || statement.type === "ExportDefaultDeclaration";
+			if (isExport && !reExported.has(entry)) {
+				reExported.add(entry);
+				const specifier = getImportSpecifier(module.fullPath, join(projectRoot, entry.targetPath));
+				const reExport = buildReExportStatement(entry.name, entry.kind, {
+					isDefault: entry.isDefault,
+					specifier: remainingNames.has(entry.name) ? null : specifier,
+					imported: entry.finalName,
+				});
+				module.edits.push({ range, text: module.content[range[1] - 1] === "\n" ? `${reExport}\n` : reExport });
+				previousEnd = range[1];
+				continue;
+			}
+			const extended = withBlankLine(module.content, range);
+			const start = Math.max(extended[0], previousEnd);
+			module.edits.push({ range: [start, extended[1]], text: "" });
+			previousEnd = extended[1];
+		}
+
+		// Import moved declarations that are still used
+		const importsByTarget = new Map();
+		for (const entry of moduleEntries) {
+			if (!remainingNames.has(entry.name)) {
+				continue;
+			}
+			if (!importsByTarget.has(entry.targetPath)) {
+				importsByTarget.set(entry.targetPath, []);
+			}
+			importsByTarget.get(entry.targetPath).push({
+				imported: entry.finalName,
+				local: entry.name,
+				isType: entry.kind !== "enum",
+			});
+		}
+		const newImports = [...importsByTarget].map(([targetPath, specifiers]) =>
+			buildStatement("import", specifiers, getImportSpecifier(module.fullPath, join(projectRoot, targetPath))),
+		);
+
+		// Drop import specifiers that were only used by the moved declarations
+		const movedImports = new Set(moduleEntries.flatMap((entry) => entry.imports.map((binding) => binding.specifier)));
+		for (const statement of module.ast.body) {
+			if (statement.type !== "ImportDeclaration") {
+				continue;
+			}
+			const unused = statement.specifiers.filter(
+				(specifier) => movedImports.has(specifier) && !remainingNames.has(specifier.local.name),
+			);
+			if (unused.length === 0) {
+				continue;
+			}
+			const kept = statement.specifiers.filter((specifier) => !unused.includes(specifier));
+			module.edits.push({
+				range: kept.length === 0 ? getRemovalRange(module, statement) : statement.range,
+				text: kept.length === 0 ? "" : rebuildImport(statement, kept),
+			});
+		}
+
+		if (newImports.length > 0) {
+			// Insert after the last import that is kept, or after leading directives
+			const body = module.ast.body;
+			const isRemoved = (statement) =>
+				module.edits.some(({ range, text }) => text === "" && range[0] <= statement.range[0] && range[1] >= statement.range[1]);
+			const lastImport = [...body]
+				.reverse()
+				.find((statement) => statement.type === "ImportDeclaration" && !isRemoved(statement));
+			const lastDirective = body.find((statement, i) => statement.directive && body.slice(0, i).every((s) => s.directive));
+			const anchor = lastImport || lastDirective;
+			const offset = anchor ? anchor.range[1] : 0;
+			module.edits.push({
+				range: [offset, offset],
+				text: anchor ? `\n${newImports.join("\n")}` : `${newImports.join("\n")}\n`,
+			});
+		}
+	}
+}
+
+/**
+ * Rebuilds an import declaration with a subset of its specifiers
+ */
+function rebuildImport(statement, specifiers) {
+	const defaultSpecifier = specifiers.find((specifier) => specifier.type === "ImportDefaultSpecifier");
+	const namespaceSpecifier = specifiers.find((specifier) => specifier.type === "ImportNamespaceSpecifier");
+	const named = specifiers
+		.filter((specifier) => specifier.type === "ImportSpecifier")
+		.map((specifier) => ({
+			imported: specifier.imported.name || specifier.imported.value,
+			local: specifier.local.name,
+			isType: statement.importKind === "type" || specifier.importKind === "type",
+		}));
+	return buildStatement("import", named, statement.source.value, {
+		defaultName: defaultSpecifier && defaultSpecifier.local.name,
+		namespaceName: namespaceSpecifier && namespaceSpecifier.local.name,
+		isTypeOnly: statement.importKind === "type",
+	});
+}
+
+/**
+ * Rewrites imports and re-exports of moved declarations in every file
+ * @returns {Set<string>} - Paths of the rewritten files
+ */
+function rewriteImporters(entries, modules, aliases) {
+	const rewritten = new Set();
+	const exportedModules = new Set(
+		[...entries.values()].filter((entry) => entry.isExported).map((entry) => entry.module.path),
+	);
+	if (exportedModules.size === 0) {
+		return rewritten;
+	}
+
+	for (const module of modules.values()) {
+		for (const statement of module.ast.body) {
+			if (!statement.source || typeof statement.source.value !== "string") {
+				continue;
+			}
+			// Statements already rewritten while cleaning up a source file
+			if (module.edits.some(({ range }) => range[0] < statement.range[1] && range[1] > statement.range[0])) {
+				continue;
+			}
+			const resolvedPath = resolveImport(module.path, statement.source.value, modules, aliases);
+			if (!resolvedPath || !exportedModules.has(resolvedPath)) {
+				continue;
+			}
+
+			const replacement =
+				statement.type === "ExportAllDeclaration"
+					? rewriteExportAll(statement, resolvedPath, module, entries, aliases)
+					: rewriteSpecifiers(statement, resolvedPath, module, entries, aliases);
+			if (replacement !== null) {
+				module.edits.push({ range: statement.range, text: replacement });
+				rewritten.add(module.path);
+			}
+		}
+	}
+
+	return rewritten;
+}
+
+/**
+ * Rewrites `import { A } from "./x"` and `export { A } from "./x"` statements
+ * that reference moved declarations
+ */
+function rewriteSpecifiers(statement, resolvedPath, module, entries, aliases) {
+	if (statement.type !== "ImportDeclaration" && statement.type !== "ExportNamedDeclaration") {
+		return null;
+	}
+	const isImport = statement.type === "ImportDeclaration";
+	const kept = [];
+	const moved = new Map();
+
+	for (const specifier of statement.specifiers) {
+		let importedName;
+		if (specifier.type === "ImportDefaultSpecifier") {
+			importedName = "default";
+		} else if (specifier.type === "ImportNamespaceSpecifier") {
+			kept.push(specifier);
+			continue;
+		} else {
+			importedName = isImport
+				? specifier.imported.name || specifier.imported.value
+				: specifier.local.name || specifier.local.value;
+		}
+
+		const entry = findExportedEntry(entries, resolvedPath, importedName);
+		if (!entry) {
+			kept.push(specifier);
+			continue;
+		}
+		const localName = isImport ? specifier.local.name : specifier.exported.name || specifier.exported.value;
+		if (!moved.has(entry.targetPath)) {
+			moved.set(entry.targetPath, []);
+		}
+		moved.get(entry.targetPath).push({ imported: entry.finalName, local: localName, isType: entry.kind !== "enum" });
+	}
+
+	if (moved.size === 0) {
+		return null;
+	}
+
+	const statements = [];
+	if (kept.length > 0) {
+		if (isImport) {
+			statements.push(rebuildImport(statement, kept));
+		} else {
+			const named = kept.map((specifier) => ({
+				imported: specifier.local.name || specifier.local.value,
+				local: specifier.exported.name || specifier.exported.value,
+				isType: statement.exportKind === "type" || specifier.exportKind === "type",
+			}));
+			statements.push(buildStatement("export", named, statement.source.value, { isTypeOnly: statement.exportKind === "type" }));
+		}
+	}
+	for (const [targetPath, specifiers] of moved) {
+		const source = buildSpecifier(module.path, targetPath, statement.source.value, aliases);
+		statements.push(buildStatement(isImport ? "import" : "export", specifiers, source));
+	}
+	return statements.join("\n");
+}
+
+/**
+ * Keeps `export * from "./x"` barrels exporting declarations moved out of "./x"
+ */
+function rewriteExportAll(statement, resolvedPath, module, entries, aliases) {
+	if (statement.exported) {
+		return null; // `export * as ns from` keeps working through the namespace
+	}
+	const moved = new Map();
+	for (const entry of entries.values()) {
+		if (entry.module.path !== resolvedPath || !entry.isExported || entry.isDefault) {
+			continue;
+		}
+		if (!moved.has(entry.targetPath)) {
+			moved.set(entry.targetPath, []);
+		}
+		moved.get(entry.targetPath).push({ imported: entry.finalName, local: entry.name, isType: entry.kind !== "enum" });
+	}
+	if (moved.size === 0) {
+		return null;
+	}
+
+	const statements = [module.content.slice(statement.range[0], statement.range[1])];
+	for (const [targetPath, specifiers] of moved) {
+		statements.push(buildStatement("export", specifiers, buildSpecifier(module.path, targetPath, statement.source.value, aliases)));
+	}
+	return statements.join("\n");
+}
+
+/**
+ * Prints the planned moves
+ */
+function printPlan(entries, skipped, rewritten, dryRun) {
+	const sorted = [...entries.values()].sort(
+		(a, b) => a.module.path.localeCompare(b.module.path) || a.nodes[0].range[0] - b.nodes[0].range[0],
+	);
+
+	if (sorted.length === 0) {
+		console.log("\n✅ No inline interfaces, types or enums to move.\n");
+	} else {
+		console.log(`\n📦 ${dryRun ? "Planned moves" : "Moved"} (${sorted.length} declarations):`);
+		let currentFile = null;
+		for (const entry of sorted) {
+			if (entry.module.path !== currentFile) {
+				currentFile = entry.module.path;
+				console.log(`\n📄 ${currentFile}:`);
+			}
+			let note = "";
+			if (entry.merged) {
+				note = ` (merged with identical ${entry.finalName})`;
+			} else if (entry.finalName !== entry.name) {
+				note = ` (as ${entry.finalName}, name collision)`;
+			}
+			console.log(`   ${entry.kind.toUpperCase()} "${entry.name}" → ${entry.targetPath}${note}`);
+		}
+	}
+
+	if (skipped.length > 0) {
+		console.log(`\n⏭️  Skipped (${skipped.length} declarations):`);
+		for (const { file, kind, name, reason } of skipped) {
+			console.log(`   ${file}: ${kind.toUpperCase()} "${name}" ${reason}`);
+		}
+	}
+
+	if (rewritten.size > 0) {
+		console.log(`\n✏️  Imports rewritten in ${rewritten.size} file(s):`);
+		for (const file of [...rewritten].sort()) {
+			console.log(`   ${file}`);
+		}
+	}
+
+	if (dryRun) {
+		console.log("\n🔍 Dry run: no files were written.\n");
+	}
+}
+
+/**
+ * Writes a file inside the project, creating folders as needed
+ */
+function writeProjectFile(filePath, content) {
+	const fullPath = validateAndResolvePath(filePath, projectRoot);
+	if (!fullPath) {
+		console.error(`Invalid or unsafe path: ${filePath}`);
+		return;
+	}
+	mkdirSync(dirname(fullPath), { recursive: true });
+	writeFileSync(fullPath, content, "utf-8");
+}
+
+/**
+ * Main function
+ */
+async function main() {
+	const config = getScriptConfig("no-inline-interfaces", noInlineInterfaces.meta.schema[0]);
+	const args = parseArgs(process.argv.slice(2), config);
+
+	const parser = await loadTypeScriptParser();
+	if (!parser) {
+		console.error(
+			"\n❌ Error: relocate-inline-types requires @typescript-eslint/parser. Install it with:\n   npm install --save-dev @typescript-eslint/parser\n",
+		);
+		process.exit(1);
+	}
+
+	// Files already under the static part of the target pattern are not moved
+	const staticTarget = args.target.split("{")[0];
+	const targetRoot = staticTarget.includes("/") ? staticTarget.slice(0, staticTarget.lastIndexOf("/") + 1) : "";
+
+	// Only TypeScript files are rewritten, whatever other extensions the checks analyse
+	const { files: projectFiles, truncated } = listProjectFiles(config.excludedPaths);
+	const files = projectFiles.filter((file) => hasSourceExtension(file, DEFAULT_EXTENSIONS));
+	const { modules, failedFiles } = loadModules(parser, files);
+	const aliases = readPathAliases();
+
+	const { entries, skipped } = collectEntries(modules, args.target, targetRoot, config.mode);
+	resolveDependencies(entries, modules, aliases, skipped);
+	const targets = resolveCollisions(parser, entries);
+	const targetFiles = buildTargetFiles(targets, entries, modules, aliases);
+	planSourceEdits(entries, modules);
+	const rewritten = rewriteImporters(entries, modules, aliases);
+
+	printPlan(entries, skipped, rewritten, args.dryRun);
+
+	// Files that were not analysed may import moved declarations, which would break
+	const problems = [];
+	if (truncated) {
+		problems.push(`the project has more than ${projectFiles.length} files, only the first ones were analysed`);
+	}
+	if (failedFiles.length > 0) {
+		problems.push(`${failedFiles.length} file(s) could not be read or parsed`);
+	}
+	if (problems.length > 0 && !args.force) {
+		const reason = `${problems.join("; ")}: imports in the files that were not analysed would not be rewritten`;
+		if (args.dryRun) {
+			console.error(`⚠️  Warning: ${reason}. These changes are only written with --force.\n`);
+		} else {
+			console.error(`\n❌ Error: ${reason}. No files were written.`);
+			console.error("💡 Fix the listed files, raise maxFiles (or MAX_FILES), narrow excludedPaths or pass --force to write anyway.\n");
+			process.exit(1);
+		}
+	}
+
+	if (args.dryRun) {
+		return;
+	}
+
+	for (const module of modules.values()) {
+		if (module.edits.length > 0) {
+			writeProjectFile(module.path, applyEdits(module.content, module.edits));
+		}
+	}
+	for (const [targetPath, content] of targetFiles) {
+		writeProjectFile(targetPath, content);
+	}
+}
+
+main();
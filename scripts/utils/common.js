@@ -4,10 +4,22 @@
  * Common utilities for validation scripts
  */
 
-import { execSync } from "node:child_process";
-import { dirname, join, resolve, normalize, isAbsolute } from "node:path";
+import { execFileSync, execSync } from "node:child_process";
+import { dirname, join, relative, resolve, sep } from "node:path";
 import { fileURLToPath } from "node:url";
-import { statSync } from "node:fs";
+import { existsSync, readdirSync, statSync } from "node:fs";
+import { isValidPathPattern, matchesPathPatterns } from "../../utils/path-patterns.js";
+import { resolveProjectPath, shouldExcludeFile as matchesExcludedPaths } from "../../core/paths.js";
+import { loadTypeScriptParser as loadParserFromProject } from "../../core/parser.js";
+import { MAX_FILES_LIMIT, getProjectExtensions, getProjectMaxFiles, getRuleConfig } from "../../utils/project-config.js";
+import { DEFAULT_EXTENSIONS, hasSourceExtension, isValidExtension } from "../../utils/source-files.js";
+import { SUPPRESSION_RULE } from "../../utils/suppressions.js";
+import {
+	BASELINE_FILE,
+	applyBaseline,
+	loadBaseline,
+	updateBaseline,
+} from "../../utils/baseline.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,39 +30,85 @@ export const projectRoot = process.env.PROJECT_ROOT || process.cwd();
 
 // Security limits
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-const MAX_FILES_TO_PROCESS = 1000; // Maximum number of files to process
+const MAX_FILES_TO_PROCESS = 1000; // Default number of files processed per run (see getMaxFiles)
+const MAX_INDEXED_FILES = 20000; // Tracked files the staged code is looked up in (cached between runs)
 const MAX_PATH_LENGTH = 4096;
+const MAX_ARGUMENTS = 1000; // Maximum number of path arguments
 
-// Default paths to exclude
-const DEFAULT_EXCLUDED_PATHS = [
-	"node_modules/",
-	".husky/",
-	"scripts/",
-	"dist/",
-	"build/",
-];
+// Characters that make a path argument a glob pattern
+const GLOB_CHARACTERS = /[*?{]/;
+
+let sourceExtensions = null;
 
 /**
- * Validates that a path pattern is safe (no path traversal attempts)
- * @param {string} pattern - The path pattern to validate
- * @returns {boolean} - True if the pattern is safe
+ * Gets the extensions of the analysed source files: the EXTENSIONS
+ * environment variable (comma-separated), the `extensions` of the project
+ * config, or .ts and .tsx
+ * @returns {string[]} - Extensions
  */
-function isValidPathPattern(pattern) {
-	if (!pattern || typeof pattern !== "string") {
-		return false;
+function getSourceExtensions() {
+	if (!sourceExtensions) {
+		const environmentExtensions =
+			process.env.EXTENSIONS === undefined
+				? undefined
+				: process.env.EXTENSIONS.split(",")
+						.map((extension) => extension.trim())
+						.filter(isValidExtension);
+		sourceExtensions =
+			environmentExtensions || getProjectExtensions(projectRoot) || DEFAULT_EXTENSIONS;
 	}
+	return sourceExtensions;
+}
 
-	// Reject patterns with path traversal attempts
-	if (pattern.includes("..") || pattern.includes("~")) {
-		return false;
-	}
+let maxFiles = null;
 
-	// Reject absolute paths
-	if (isAbsolute(pattern)) {
-		return false;
+/**
+ * Gets the number of files a run processes: the MAX_FILES environment
+ * variable, the `maxFiles` of the project config, or 1000
+ * @returns {number} - Maximum number of files
+ */
+export function getMaxFiles() {
+	if (!maxFiles) {
+		const environmentMaxFiles = Number(process.env.MAX_FILES);
+		maxFiles =
+			Number.isInteger(environmentMaxFiles) && environmentMaxFiles >= 1 && environmentMaxFiles <= MAX_FILES_LIMIT
+				? environmentMaxFiles
+				: getProjectMaxFiles(projectRoot) || MAX_FILES_TO_PROCESS;
 	}
+	return maxFiles;
+}
+
+/**
+ * Builds the error of a run whose selection has more files than it processes
+ * @returns {Error} - Error explaining how to raise the limit
+ */
+export function createTruncationError() {
+	return new Error(
+		`More than ${getMaxFiles()} files selected. Raise "maxFiles" in the project config (or MAX_FILES), or select fewer files.`,
+	);
+}
+
+/**
+ * Checks if a file is one of the analysed source files
+ */
+function isSourceFile(filePath) {
+	return hasSourceExtension(filePath, getSourceExtensions());
+}
 
-	return true;
+/**
+ * Runs a git command in the project root without going through a shell,
+ * so user-provided arguments (e.g. refs) cannot inject commands
+ * @param {string[]} args - Git arguments
+ * @returns {string[]} - Non-empty output lines
+ */
+function runGit(args) {
+	const output = execFileSync("git", args, {
+		encoding: "utf-8",
+		cwd: projectRoot,
+		maxBuffer: 10 * 1024 * 1024, // 10MB buffer limit
+		stdio: ["ignore", "pipe", "pipe"], // Errors are reported by the caller
+	});
+	return output.split("\n").filter((line) => line.trim());
 }
 
 /**
@@ -60,33 +118,7 @@ function isValidPathPattern(pattern) {
  * @returns {string|null} - Normalized absolute path, or null if invalid
  */
 export function validateAndResolvePath(filePath, basePath = projectRoot) {
-	if (!filePath || typeof filePath !== "string") {
-		return null;
-	}
-
-	// Check path length
-	if (filePath.length > MAX_PATH_LENGTH) {
-		return null;
-	}
-
-	try {
-		// Normalize the path to resolve .. and . segments
-		const normalized = normalize(filePath);
-		
-		// Resolve against base path to prevent traversal
-		const resolved = resolve(basePath, normalized);
-		const baseResolved = resolve(basePath);
-		
-		// Ensure resolved path is within base directory
-		if (!resolved.startsWith(baseResolved)) {
-			return null;
-		}
-
-		return resolved;
-	} catch (error) {
-		// Invalid path
-		return null;
-	}
+	return resolveProjectPath(filePath, basePath);
 }
 
 /**
@@ -100,11 +132,11 @@ export function getStagedFiles() {
 			maxBuffer: 10 * 1024 * 1024, // 10MB buffer limit
 		});
 		
+		// Limited with the other selections (see getFilesToCheck)
 		const files = output
 			.split("\n")
 			.filter((line) => line.trim())
-			.filter((file) => file.endsWith(".ts") || file.endsWith(".tsx"))
-			.slice(0, MAX_FILES_TO_PROCESS); // Limit number of files
+			.filter(isSourceFile);
 		
 		return files;
 	} catch (error) {
@@ -114,29 +146,616 @@ export function getStagedFiles() {
 }
 
 /**
- * Checks if a file should be excluded
- * Can be configured via environment variable EXCLUDED_PATHS (comma-separated)
+ * Gets every file tracked by git (the whole project, for CI runs)
+ * @returns {string[]} - File paths relative to the project root
+ */
+export function getTrackedFiles() {
+	try {
+		return runGit(["ls-files", "--cached"]).filter(isSourceFile);
+	} catch (error) {
+		console.error("Error getting tracked files:", error.message);
+		return [];
+	}
+}
+
+/**
+ * Gets the tracked files that staged or changed code is looked up in. The
+ * index has its own, much higher limit than the files analysed by a run:
+ * unchanged files come from the analysis cache, so a large project only
+ * costs a full analysis once.
+ * @returns {string[]} - File paths relative to the project root
+ */
+export function getIndexedFiles() {
+	try {
+		const files = runGit(["ls-files", "--cached"]).filter(isSourceFile);
+		if (files.length > MAX_INDEXED_FILES) {
+			console.error(`Warning: only the first ${MAX_INDEXED_FILES} of ${files.length} tracked files are indexed`);
+		}
+		return files.slice(0, MAX_INDEXED_FILES);
+	} catch (error) {
+		console.error("Error getting tracked files:", error.message);
+		return [];
+	}
+}
+
+/**
+ * Gets the files changed since the merge base with a ref (e.g. origin/main),
+ * including uncommitted changes
+ * @param {string} ref - Branch, tag or commit to compare against
+ * @returns {string[]|null} - File paths relative to the project root, or null if the ref is invalid
+ */
+export function getChangedFiles(ref) {
+	// Refs starting with "-" would be read as git options
+	if (!ref || typeof ref !== "string" || ref.startsWith("-") || ref.length > MAX_PATH_LENGTH) {
+		return null;
+	}
+
+	try {
+		const [mergeBase] = runGit(["merge-base", ref, "HEAD"]);
+		return runGit(["diff", "--name-only", "--diff-filter=ACM", mergeBase, "--"]).filter(isSourceFile);
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Gets the lines added or modified in the staged changes, or since the merge
+ * base with a ref (including uncommitted changes), from the hunks of
+ * `git diff -U0`
+ * @param {string} [since] - Branch, tag or commit to compare against (default: the staged changes)
+ * @returns {Map<string, Array<number[]>>|null} - Changed line ranges `[start, end]`
+ *   (1-based, inclusive, in the new version) by file path relative to the
+ *   project root, or null if the ref is invalid or git fails. Holds at most one
+ *   file more than getMaxFiles(), so callers can tell the selection was too large.
+ */
+export function getChangedLines(since) {
+	const args = ["diff", "-U0", "--no-color", "--no-ext-diff", "--src-prefix=a/", "--dst-prefix=b/", "--diff-filter=ACM"];
+	if (since) {
+		// Refs starting with "-" would be read as git options
+		if (typeof since !== "string" || since.startsWith("-") || since.length > MAX_PATH_LENGTH) {
+			return null;
+		}
+		try {
+			const [mergeBase] = runGit(["merge-base", since, "HEAD"]);
+			args.push(mergeBase, "--");
+		} catch (error) {
+			return null;
+		}
+	} else {
+		args.push("--cached", "--");
+	}
+
+	let lines;
+	try {
+		lines = runGit(args);
+	} catch (error) {
+		return null;
+	}
+
+	const changedLines = new Map();
+	let file = null;
+	let remainingLines = 0; // Lines of the current hunk, which may look like headers
+	for (const line of lines) {
+		if (remainingLines > 0) {
+			if (line.startsWith("+") || line.startsWith("-")) {
+				remainingLines--;
+			}
+			continue;
+		}
+
+		if (line.startsWith("+++ ")) {
+			const path = line.slice(4);
+			file = path.startsWith("b/") && isSourceFile(path.slice(2)) ? path.slice(2) : null;
+			if (file && !changedLines.has(file) && changedLines.size <= getMaxFiles()) {
+				changedLines.set(file, []);
+			}
+			continue;
+		}
+
+		const hunk = /^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+		if (!hunk) {
+			continue;
+		}
+		const removedCount = hunk[1] === undefined ? 1 : Number(hunk[1]);
+		const start = Number(hunk[2]);
+		const addedCount = hunk[3] === undefined ? 1 : Number(hunk[3]);
+		remainingLines = removedCount + addedCount;
+		// Hunks that only remove lines add nothing to the new version
+		if (file && changedLines.has(file) && addedCount > 0) {
+			changedLines.get(file).push([start, start + addedCount - 1]);
+		}
+	}
+
+	return changedLines;
+}
+
+/**
+ * Truncates a file list to the processing limit (see getMaxFiles)
+ * @returns {{files: string[], truncated: boolean}} - Kept files, and whether some were dropped
+ */
+function limitFiles(files) {
+	const limit = getMaxFiles();
+	return { files: files.slice(0, limit), truncated: files.length > limit };
+}
+
+/**
+ * Checks whether a project walk enters a folder: not .git and not excluded
+ * @param {string} folder - Folder relative to the project root
+ * @param {string[]} configExcludedPaths - Excluded paths from the project config
+ */
+function isWalkedFolder(folder, configExcludedPaths) {
+	return !folder.split("/").includes(".git") && !shouldExcludeFile(`${folder}/`, configExcludedPaths);
+}
+
+/**
+ * Lists a folder of the project and its subfolders recursively, skipping
+ * excluded paths (the folders the project walk enters)
+ * @param {string} directory - Folder relative to the project root ("" for the root)
+ * @param {string[]} configExcludedPaths - Excluded paths from the project config
+ * @param {number} maxFolders - Maximum number of folders listed
+ * @returns {string[]} - Folders relative to the project root, `directory` first
+ */
+function listProjectFolders(directory, configExcludedPaths, maxFolders) {
+	const folders = [];
+	const pending = [directory];
+	while (pending.length > 0 && folders.length < maxFolders) {
+		const folder = pending.shift();
+		let entries;
+		try {
+			entries = readdirSync(join(projectRoot, folder), { withFileTypes: true });
+		} catch (error) {
+			continue; // Skip unreadable or removed directories
+		}
+		folders.push(folder);
+		for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+			const subfolder = folder ? `${folder}/${entry.name}` : entry.name;
+			// Symbolic links are not followed to stay inside the project
+			if (entry.isDirectory() && isWalkedFolder(subfolder, configExcludedPaths)) {
+				pending.push(subfolder);
+			}
+		}
+	}
+	return folders;
+}
+
+/**
+ * Walks a folder of the project recursively, skipping excluded paths
+ * @param {string} directory - Folder relative to the project root ("" for the root)
+ * @param {string[]} configExcludedPaths - Excluded paths from the project config
+ * @param {string[]} files - Collected file paths relative to the project root
+ * @param {number} [limit] - Stops once one file more than this was collected,
+ *   so callers can tell a truncated walk from a complete one
  */
-export function shouldExcludeFile(filePath) {
+function walkProjectFolder(directory, configExcludedPaths, files, limit = getMaxFiles()) {
+	let entries;
+	try {
+		entries = readdirSync(join(projectRoot, directory), { withFileTypes: true });
+	} catch (error) {
+		return; // Skip unreadable directories
+	}
+
+	entries.sort((a, b) => a.name.localeCompare(b.name));
+	for (const entry of entries) {
+		if (files.length > limit) {
+			return;
+		}
+
+		const filePath = directory ? `${directory}/${entry.name}` : entry.name;
+		// Symbolic links are not followed to stay inside the project
+		if (entry.isDirectory()) {
+			if (isWalkedFolder(filePath, configExcludedPaths)) {
+				walkProjectFolder(filePath, configExcludedPaths, files, limit);
+			}
+		} else if (
+			entry.isFile() &&
+			isSourceFile(filePath) &&
+			!shouldExcludeFile(filePath, configExcludedPaths)
+		) {
+			files.push(filePath);
+		}
+	}
+}
+
+/**
+ * Lists the source files of the whole project (not only staged files),
+ * skipping excluded paths, up to getMaxFiles()
+ * @param {string[]} configExcludedPaths - Excluded paths from the project config
+ * @returns {{files: string[], truncated: boolean}} - File paths relative to the
+ *   project root, and whether the project has more files than are listed
+ */
+export function listProjectFiles(configExcludedPaths = []) {
+	const files = [];
+	walkProjectFolder("", configExcludedPaths, files);
+	return limitFiles(files);
+}
+
+/**
+ * Resolves path arguments (files, folders or glob patterns) to project files.
+ * Relative paths are resolved from the current directory, glob patterns from
+ * the project root, with the same syntax as excludedPaths.
+ * @param {string[]} paths - Path arguments
+ * @param {string[]} configExcludedPaths - Excluded paths from the project config
+ * @returns {{files: string[], truncated: boolean}} - Sorted, unique file paths
+ *   relative to the project root, and whether more files matched than are kept
+ */
+export function resolvePathArguments(paths, configExcludedPaths = []) {
+	const files = new Set();
+	let projectFiles = null;
+	let projectTruncated = false;
+
+	for (const path of paths.slice(0, MAX_ARGUMENTS)) {
+		if (GLOB_CHARACTERS.test(path)) {
+			if (!isValidPathPattern(path) || path.startsWith("!")) {
+				console.error(`Invalid or unsafe pattern: ${path}`);
+				continue;
+			}
+			if (!projectFiles) {
+				({ files: projectFiles, truncated: projectTruncated } = listProjectFiles(configExcludedPaths));
+			}
+			for (const file of projectFiles) {
+				if (matchesPathPatterns(file, [path], projectRoot)) {
+					files.add(file);
+				}
+			}
+			continue;
+		}
+
+		// Paths must stay inside the project root
+		const fullPath = validateAndResolvePath(resolve(process.cwd(), path), projectRoot);
+		if (!fullPath || !existsSync(fullPath)) {
+			console.error(`Invalid, unsafe or missing path: ${path}`);
+			continue;
+		}
+
+		const projectPath = relative(projectRoot, fullPath).split(sep).join("/");
+		if (statSync(fullPath).isDirectory()) {
+			const folderFiles = [];
+			walkProjectFolder(projectPath, configExcludedPaths, folderFiles);
+			for (const file of folderFiles) {
+				files.add(file);
+			}
+		} else if (isSourceFile(projectPath)) {
+			files.add(projectPath);
+		}
+	}
+
+	const selection = limitFiles([...files].sort());
+	return { files: selection.files, truncated: selection.truncated || projectTruncated };
+}
+
+/**
+ * Parses command line arguments: `--flag`, `--option value`, `--option=value`
+ * and positional arguments
+ * @param {string[]} argv - Arguments (without the node and script paths)
+ * @param {object} spec - Accepted arguments
+ * @param {string[]} spec.booleans - Flags without value
+ * @param {string[]} spec.strings - Options with a value
+ * @returns {{options: object, positionals: string[]}} - Parsed arguments
+ * @throws {Error} - On unknown options or missing values
+ */
+export function parseCliArgs(argv, { booleans = [], strings = [] }) {
+	const options = {};
+	const positionals = [];
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === "--") {
+			positionals.push(...argv.slice(i + 1));
+			break;
+		}
+		if (!arg.startsWith("--")) {
+			positionals.push(arg);
+			continue;
+		}
+
+		const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+		if (booleans.includes(name) && inlineValue === undefined) {
+			options[name] = true;
+		} else if (strings.includes(name)) {
+			const value = inlineValue !== undefined ? inlineValue : argv[++i];
+			if (value === undefined || value === "") {
+				throw new Error(`Missing value for --${name}`);
+			}
+			options[name] = value;
+		} else {
+			throw new Error(`Unknown option: ${arg}`);
+		}
+	}
+
+	return { options, positionals };
+}
+
+// Command line arguments shared by the check-* scripts
+const FILE_SELECTION_USAGE = `  [paths...]            Files, folders or glob patterns to analyse (quote globs)
+  --all                 Analyse every file tracked by git
+  --since <ref>         Analyse the files changed since a branch or commit (e.g. origin/main)`;
+
+/**
+ * Builds the usage text of a check-* script
+ * @param {string} synopsis - Command synopsis
+ * @param {...string} optionBlocks - Descriptions of the script's own options
+ * @returns {string} - Usage text
+ */
+export function buildUsage(synopsis, ...optionBlocks) {
+	return [
+		`Usage: ${synopsis}`,
+		"",
+		FILE_SELECTION_USAGE,
+		...optionBlocks,
+		"  --update-baseline     Accept the current findings in .linter-rules-baseline.json",
+		"  --require-suppression-reason",
+		"                        Fail on linter-rules-disable comments without a reason after --",
+		"  --watch               Check again the files that change and print new and resolved findings",
+		"  --help                Show this help",
+		"",
+		"  Without paths, --all or --since, the staged files are analysed (the whole",
+		"  project with --watch).",
+	].join("\n");
+}
+
+/**
+ * Parses the command line of a check-* script, printing the usage and
+ * exiting on --help or invalid arguments
+ * @param {string} usage - Usage text of the script
+ * @param {object} [spec] - Additional accepted arguments (see parseCliArgs)
+ * @returns {object} - Parsed options, with positional arguments as `paths`
+ */
+export function parseScriptArgs(usage, { booleans = [], strings = [] } = {}) {
+	try {
+		const { options, positionals } = parseCliArgs(process.argv.slice(2), {
+			booleans: ["all", "help", "update-baseline", "require-suppression-reason", "watch", ...booleans],
+			strings: ["since", ...strings],
+		});
+		if (options.help) {
+			console.log(usage);
+			process.exit(0);
+		}
+		return { ...options, paths: positionals };
+	} catch (error) {
+		console.error(`\n❌ Error: ${error.message}\n`);
+		console.error(usage);
+		process.exit(1);
+	}
+}
+
+/**
+ * Gets the files a check-* script analyses, from its command line:
+ * explicit paths, `--all` (every tracked file), `--since <ref>` (files changed
+ * since a branch) or, by default, the staged files
+ * @param {object} selection - Parsed command line
+ * @param {string[]} selection.paths - Files, folders or glob patterns
+ * @param {boolean} [selection.all] - Analyse every tracked file
+ * @param {string} [selection.since] - Analyse the files changed since this ref
+ * @param {string[]} configExcludedPaths - Excluded paths from the project config
+ * @returns {{files: string[], truncated: boolean}} - File paths relative to the
+ *   project root, at most getMaxFiles(), and whether more files were selected
+ *   (callers fail then, see createTruncationError)
+ * @throws {Error} - On conflicting selections or an invalid ref
+ */
+export function getFilesToCheck({ paths, all, since }, configExcludedPaths = []) {
+	const selections = [paths.length > 0, Boolean(all), Boolean(since)].filter(Boolean);
+	if (selections.length > 1) {
+		throw new Error("Use only one of: path arguments, --all, --since <ref>");
+	}
+
+	if (paths.length > 0) {
+		return resolvePathArguments(paths, configExcludedPaths);
+	}
+	if (all) {
+		return limitFiles(getTrackedFiles());
+	}
+	if (since) {
+		const files = getChangedFiles(since);
+		if (!files) {
+			throw new Error(`Cannot compare against "${since}": unknown ref or not a git repository`);
+		}
+		return limitFiles(files);
+	}
+	return limitFiles(getStagedFiles());
+}
+
+/**
+ * Gets the files a check-* script watches (--watch): the selected files, and
+ * the files created later that match the selection. Without path arguments,
+ * the whole project is watched.
+ * @param {object} selection - Parsed command line (see getFilesToCheck)
+ * @param {string[]} configExcludedPaths - Excluded paths from the project config
+ * @returns {{files: string[], truncated: boolean, isWatched: function(string): boolean,
+ *   getFolders: function(string, number): string[]}} - Files to check initially
+ *   (see getFilesToCheck for `truncated`), whether a project file (relative
+ *   path) is watched, and the folders to watch under a project folder ("" for
+ *   the root), up to a maximum number
+ * @throws {Error} - On conflicting selections or an invalid ref
+ */
+export function getWatchSelection({ paths, all, since }, configExcludedPaths = []) {
+	const isWatchedSource = (file) => isSourceFile(file) && !shouldExcludeFile(file, configExcludedPaths);
+	const getFolders = (folder, maxFolders) =>
+		folder === "" || isWalkedFolder(folder, configExcludedPaths)
+			? listProjectFolders(folder, configExcludedPaths, maxFolders)
+			: [];
+
+	if (paths.length === 0) {
+		const selection = all || since ? getFilesToCheck({ paths, all, since }) : listProjectFiles(configExcludedPaths);
+		return { ...selection, isWatched: isWatchedSource, getFolders };
+	}
+
+	const { files, truncated } = getFilesToCheck({ paths, all, since }, configExcludedPaths);
+	const patterns = [];
+	const folders = [];
+	for (const path of paths.slice(0, MAX_ARGUMENTS)) {
+		if (GLOB_CHARACTERS.test(path)) {
+			if (isValidPathPattern(path) && !path.startsWith("!")) {
+				patterns.push(path);
+			}
+			continue;
+		}
+		const fullPath = validateAndResolvePath(resolve(process.cwd(), path), projectRoot);
+		if (fullPath && existsSync(fullPath) && statSync(fullPath).isDirectory()) {
+			const folder = relative(projectRoot, fullPath).split(sep).join("/");
+			folders.push(folder ? `${folder}/` : "");
+		}
+	}
+
+	const selectedFiles = new Set(files);
+	return {
+		files,
+		truncated,
+		getFolders,
+		isWatched: (file) =>
+			isWatchedSource(file) &&
+			(selectedFiles.has(file) ||
+				folders.some((folder) => file.startsWith(folder)) ||
+				(patterns.length > 0 && matchesPathPatterns(file, patterns, projectRoot))),
+	};
+}
+
+/**
+ * Loads @typescript-eslint/parser, resolved from the project first and then
+ * from this package, if installed
+ * @returns {Promise<object|null>} - Parser module, or null if unavailable
+ */
+export function loadTypeScriptParser() {
+	return loadParserFromProject(projectRoot);
+}
+
+/**
+ * Loads the options of a script from the project config file (the section of
+ * the matching ESLint rule), exiting with a readable error if it is invalid
+ * @param {string} ruleName - Rule name, e.g. "no-code-duplication"
+ * @param {object} schema - Options schema of the rule
+ * @returns {object} - Options from the config file (empty if there is none)
+ */
+export function getScriptConfig(ruleName, schema) {
+	try {
+		return getRuleConfig(projectRoot, ruleName, schema);
+	} catch (error) {
+		console.error(`\n❌ Error: ${error.message}\n`);
+		process.exit(1);
+	}
+}
+
+// Maximum number of fixed baseline entries listed in the console
+const MAX_LISTED_FIXED_ENTRIES = 20;
+
+/**
+ * Applies the project baseline to the findings of a script report, or
+ * records them in the baseline with --update-baseline
+ * @param {object} report - Script report (see scripts/utils/formatters.js), with fingerprinted findings
+ * @param {string} ruleId - Rule the findings belong to
+ * @param {boolean} update - Whether to record the findings instead of filtering them
+ * @returns {{newFindings: Array<object>, baselinedCount: number, fixedEntries: Array<object>}} -
+ *   Findings not accepted by the baseline, and baseline entries that no longer occur
+ */
+export function handleBaseline(report, ruleId, update) {
+	try {
+		if (update) {
+			const count = updateBaseline(projectRoot, report.findings, { ruleId, files: report.files });
+			console.error(`\n📌 Baseline updated: ${count} ${ruleId} findings are accepted in ${BASELINE_FILE}\n`);
+			return { newFindings: [], baselinedCount: report.findings.length, fixedEntries: [] };
+		}
+		return applyBaseline(report.findings, loadBaseline(projectRoot), { ruleId, files: report.files });
+	} catch (error) {
+		console.error(`\n❌ Error: ${error.message}\n`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Builds the console summary of the baseline: accepted findings and
+ * entries that were fixed
+ * @param {object} baseline - Result of handleBaseline
+ * @returns {string[]} - Lines to print (empty if the baseline is not involved)
+ */
+export function formatBaselineSummary({ newFindings, baselinedCount, fixedEntries }) {
+	const lines = [];
+	if (baselinedCount > 0 && newFindings.length > 0) {
+		lines.push(`ℹ️  ${baselinedCount} existing findings are accepted by ${BASELINE_FILE} and not shown`);
+	}
+	if (fixedEntries.length > 0) {
+		lines.push(
+			`\n✅ ${fixedEntries.length} baseline entries no longer occur. Run with --update-baseline to remove them:`,
+		);
+		for (const entry of fixedEntries.slice(0, MAX_LISTED_FIXED_ENTRIES)) {
+			lines.push(`   ${entry.file}:${entry.line || "?"} ${entry.message || ""}`.trimEnd());
+		}
+		if (fixedEntries.length > MAX_LISTED_FIXED_ENTRIES) {
+			lines.push("   ...");
+		}
+		lines.push("");
+	}
+	return lines;
+}
+
+/**
+ * Adds the problems of the suppression comments (see utils/suppressions.js)
+ * to a script report, after the baseline has been applied
+ * @param {object} report - Script report (see scripts/utils/formatters.js)
+ * @param {Array<{file: string, line: number, level: string, message: string}>} problems - Problems
+ */
+export function addSuppressionProblems(report, problems) {
+	if (problems.length === 0) {
+		return;
+	}
+	report.rules.push(SUPPRESSION_RULE);
+	report.findings.push(
+		...problems.map(({ file, line, level, message }) => ({
+			ruleId: SUPPRESSION_RULE.id,
+			level,
+			message,
+			file,
+			startLine: line,
+			endLine: line,
+		})),
+	);
+}
+
+/**
+ * Builds the pretty (console) output of the problems of the suppression comments
+ * @param {Array<{file: string, line: number, level: string, message: string}>} problems - Problems
+ * @returns {string[]} - Lines (empty without problems)
+ */
+export function formatSuppressionProblems(problems) {
+	if (problems.length === 0) {
+		return [];
+	}
+	return [
+		"\n🔕 Suppression comments:",
+		...problems.map(
+			({ file, line, level, message }) => `   ${level === "error" ? "❌" : "⚠️ "} ${file}:${line} ${message}`,
+		),
+		"",
+	];
+}
+
+/**
+ * Checks if a file should be excluded, using the same gitignore-style
+ * patterns as the lint rules (see utils/path-patterns.js)
+ * Can be configured via environment variable EXCLUDED_PATHS (comma-separated),
+ * which takes precedence over the excluded paths of the project config
+ * @param {string} filePath - The file path to check
+ * @param {string[]} configExcludedPaths - Excluded paths from the project config
+ * @returns {boolean} - True if the file should be excluded
+ */
+export function shouldExcludeFile(filePath, configExcludedPaths = []) {
 	if (!filePath || typeof filePath !== "string") {
 		return false;
 	}
 
-	const customExcludedPaths =
-		process.env.EXCLUDED_PATHS?.split(",")
-			.map((p) => p.trim())
-			.filter(isValidPathPattern) || [];
-	
-	const allExcludedPaths = [...DEFAULT_EXCLUDED_PATHS, ...customExcludedPaths];
-	
-	// Use normalized path comparison
-	const normalizedPath = normalize(filePath);
-	return allExcludedPaths.some((excludedPath) => {
-		if (!isValidPathPattern(excludedPath)) {
-			return false;
-		}
-		return normalizedPath.includes(normalize(excludedPath));
-	});
+	return matchesExcludedPaths(filePath, getEnvironmentExcludedPaths() || configExcludedPaths, projectRoot);
+}
+
+/**
+ * Reads the excluded paths set with the EXCLUDED_PATHS environment variable
+ * (comma-separated), which take precedence over the project config
+ * @returns {string[]|undefined} - Patterns, or undefined if the variable is not set
+ */
+export function getEnvironmentExcludedPaths() {
+	if (process.env.EXCLUDED_PATHS === undefined) {
+		return undefined;
+	}
+	return process.env.EXCLUDED_PATHS.split(",")
+		.map((p) => p.trim())
+		.filter((p) => p.length > 0);
 }
 
 /**
@@ -0,0 +1,293 @@
+/**
+ * Output formats for the validation scripts, so CI systems can ingest their
+ * results: JSON, SARIF 2.1.0 (GitHub code scanning), JUnit (Jenkins, GitLab)
+ * and Checkstyle. The default `pretty` output is built by each script.
+ *
+ * Scripts describe their results as a report:
+ * - `tool`: script name
+ * - `rules`: `[{id, description, level}]`, one per check
+ * - `files`: analysed files, relative to the project root
+ * - `findings`: `[{ruleId, level, message, file, startLine, endLine, startColumn?, fingerprint?, related?}]`
+ *   where `related` lists the other locations of the finding (`{file, startLine, endLine, message}`)
+ * - `baselinedCount`, `fixedBaselineEntries`: findings accepted by the
+ *   baseline, and baseline entries that no longer occur (see utils/baseline.js)
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { projectRoot, validateAndResolvePath } from "./common.js";
+
+// Supported values of --format
+export const OUTPUT_FORMATS = ["pretty", "json", "sarif", "junit", "checkstyle"];
+
+// Command line arguments shared by the scripts that produce reports
+export const OUTPUT_USAGE = `  --format <name>       Output format: ${OUTPUT_FORMATS.join(", ")} (default: pretty)
+  --output-file <path>  Write the report to a file inside the project instead of the console`;
+
+// Arguments to pass to parseScriptArgs
+export const OUTPUT_ARGUMENTS = { strings: ["format", "output-file"] };
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const DOCUMENTATION_URL = "https://github.com/Jmestrelozano/linter-rules-package#readme";
+
+const packageJson = JSON.parse(readFileSync(new URL("../../package.json", import.meta.url), "utf-8"));
+
+/**
+ * Escapes text for XML attributes and content
+ */
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;")
+		// Control characters are not allowed in XML 1.0
+		.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+/**
+ * Formats a report as JSON
+ */
+function formatJson(report) {
+	return JSON.stringify(
+		{
+			tool: report.tool,
+			version: packageJson.version,
+			filesChecked: report.files.length,
+			findingCount: report.findings.length,
+			findings: report.findings,
+			baselinedCount: report.baselinedCount || 0,
+			fixedBaselineEntries: report.fixedBaselineEntries || [],
+		},
+		null,
+		2,
+	);
+}
+
+/**
+ * Builds a SARIF physical location
+ */
+function toSarifLocation({ file, startLine, endLine, startColumn }) {
+	const region = { startLine };
+	if (endLine && endLine !== startLine) {
+		region.endLine = endLine;
+	}
+	if (startColumn) {
+		region.startColumn = startColumn;
+	}
+	return {
+		physicalLocation: {
+			artifactLocation: { uri: file, uriBaseId: "%SRCROOT%" },
+			region,
+		},
+	};
+}
+
+/**
+ * Formats a report as SARIF 2.1.0
+ */
+function formatSarif(report) {
+	const ruleIndexes = new Map(report.rules.map((rule, index) => [rule.id, index]));
+
+	return JSON.stringify(
+		{
+			$schema: SARIF_SCHEMA,
+			version: "2.1.0",
+			runs: [
+				{
+					tool: {
+						driver: {
+							name: report.tool,
+							version: packageJson.version,
+							informationUri: DOCUMENTATION_URL,
+							rules: report.rules.map((rule) => ({
+								id: rule.id,
+								name: rule.id,
+								shortDescription: { text: rule.description },
+								helpUri: DOCUMENTATION_URL,
+								defaultConfiguration: { level: rule.level },
+							})),
+						},
+					},
+					results: report.findings.map((finding) => {
+						const result = {
+							ruleId: finding.ruleId,
+							ruleIndex: ruleIndexes.get(finding.ruleId),
+							level: finding.level,
+							message: { text: finding.message },
+							locations: [toSarifLocation(finding)],
+						};
+						if (finding.fingerprint) {
+							// Lets code scanning track results across line shifts
+							result.partialFingerprints = { "linterRulesFingerprint/v1": finding.fingerprint };
+						}
+						if (finding.related && finding.related.length > 0) {
+							result.relatedLocations = finding.related.map((related, index) => ({
+								id: index + 1,
+								...toSarifLocation(related),
+								message: { text: related.message },
+							}));
+						}
+						return result;
+					}),
+				},
+			],
+		},
+		null,
+		2,
+	);
+}
+
+/**
+ * Formats a report as JUnit XML: one test case per analysed file, failing
+ * with one failure per finding
+ */
+function formatJunit(report) {
+	const findingsByFile = groupByFile(report);
+	const failures = [...findingsByFile.values()].filter((findings) => findings.length > 0).length;
+
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites name="${escapeXml(report.tool)}" tests="${findingsByFile.size}" failures="${failures}">`,
+		`  <testsuite name="${escapeXml(report.tool)}" tests="${findingsByFile.size}" failures="${failures}" errors="0" skipped="0">`,
+	];
+	for (const [file, findings] of findingsByFile) {
+		if (findings.length === 0) {
+			lines.push(`    <testcase classname="${escapeXml(report.tool)}" name="${escapeXml(file)}"/>`);
+			continue;
+		}
+		lines.push(`    <testcase classname="${escapeXml(report.tool)}" name="${escapeXml(file)}">`);
+		for (const finding of findings) {
+			const location = `${file}:${finding.startLine}${finding.endLine && finding.endLine !== finding.startLine ? `-${finding.endLine}` : ""}`;
+			lines.push(
+				`      <failure type="${escapeXml(finding.ruleId)}" message="${escapeXml(finding.message)}">${escapeXml(`${location}: ${finding.message}`)}</failure>`,
+			);
+		}
+		lines.push("    </testcase>");
+	}
+	lines.push("  </testsuite>", "</testsuites>");
+	return lines.join("\n");
+}
+
+/**
+ * Formats a report as Checkstyle XML
+ */
+function formatCheckstyle(report) {
+	const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+	for (const [file, findings] of groupByFile(report)) {
+		if (findings.length === 0) {
+			lines.push(`  <file name="${escapeXml(file)}"/>`);
+			continue;
+		}
+		lines.push(`  <file name="${escapeXml(file)}">`);
+		for (const finding of findings) {
+			lines.push(
+				`    <error line="${finding.startLine}" column="${finding.startColumn || 1}" severity="${finding.level === "error" ? "error" : "warning"}" message="${escapeXml(finding.message)}" source="linter-rules-package.${escapeXml(finding.ruleId)}"/>`,
+			);
+		}
+		lines.push("  </file>");
+	}
+	lines.push("</checkstyle>");
+	return lines.join("\n");
+}
+
+/**
+ * Groups findings by file, including analysed files without findings,
+ * sorted by path
+ */
+function groupByFile(report) {
+	const files = [...new Set([...report.files, ...report.findings.map((finding) => finding.file)])].sort();
+	const findingsByFile = new Map(files.map((file) => [file, []]));
+	for (const finding of report.findings) {
+		findingsByFile.get(finding.file).push(finding);
+	}
+	return findingsByFile;
+}
+
+/**
+ * Formats a report in a machine-readable format
+ * @param {object} report - Script report (see the module comment)
+ * @param {string} format - One of OUTPUT_FORMATS except "pretty"
+ * @returns {string} - Formatted report
+ */
+export function formatReport(report, format) {
+	switch (format) {
+		case "json":
+			return formatJson(report);
+		case "sarif":
+			return formatSarif(report);
+		case "junit":
+			return formatJunit(report);
+		case "checkstyle":
+			return formatCheckstyle(report);
+		default:
+			throw new Error(`Unknown format: ${format}`);
+	}
+}
+
+/**
+ * Validates the --format argument, exiting with the usage if it is unknown
+ * @param {object} args - Parsed command line
+ * @param {string} usage - Usage text of the script
+ * @returns {{format: string, outputFile: string|undefined}} - Output options
+ */
+export function getOutputOptions(args, usage) {
+	const format = args.format || "pretty";
+	if (!OUTPUT_FORMATS.includes(format)) {
+		console.error(`\n❌ Error: Unknown format "${format}" (expected one of: ${OUTPUT_FORMATS.join(", ")})\n`);
+		console.error(usage);
+		process.exit(1);
+	}
+	return { format, outputFile: args["output-file"] };
+}
+
+/**
+ * Emits a report: the script's pretty text on stderr (as before), or the
+ * machine-readable format on stdout, or either one into the output file
+ * @param {object} report - Script report (see the module comment)
+ * @param {object} options - Output options (see getOutputOptions)
+ * @param {string[]} prettyLines - Lines of the pretty output (empty if nothing to report)
+ * @returns {boolean} - False if the report could not be written
+ */
+export function emitReport(report, { format, outputFile }, prettyLines) {
+	if (format !== "pretty") {
+		return writeOutput(formatReport(report, format), outputFile);
+	}
+	if (outputFile) {
+		return writeOutput(prettyLines.join("\n"), outputFile);
+	}
+	if (prettyLines.length > 0) {
+		console.error(prettyLines.join("\n"));
+	}
+	return true;
+}
+
+/**
+ * Writes formatted output to a file inside the project, or to stdout
+ * @param {string} output - Formatted report
+ * @param {string} [outputFile] - File path, relative to the current directory
+ * @returns {boolean} - False if the output file is unsafe or cannot be written
+ */
+export function writeOutput(output, outputFile) {
+	if (!outputFile) {
+		process.stdout.write(`${output}\n`);
+		return true;
+	}
+
+	// Reports are only written inside the project root
+	const fullPath = validateAndResolvePath(resolve(process.cwd(), outputFile), projectRoot);
+	if (!fullPath) {
+		console.error(`Invalid or unsafe output file: ${outputFile}`);
+		return false;
+	}
+
+	try {
+		mkdirSync(dirname(fullPath), { recursive: true });
+		writeFileSync(fullPath, `${output}\n`);
+		return true;
+	} catch (error) {
+		console.error(`Error writing ${outputFile}:`, error.message);
+		return false;
+	}
+}
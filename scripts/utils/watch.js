@@ -0,0 +1,297 @@
+/**
+ * Watch mode of the check-* scripts (--watch): the checks are kept in memory
+ * (see the incremental checks of core/checks.js) and only the files that
+ * change are read and analysed again. After each change the findings that
+ * appeared and the ones that were resolved are printed.
+ *
+ * Changes are detected with one `fs.watch` per project folder (recursive
+ * watching is not available on Linux before Node 20), skipping excluded
+ * paths such as node_modules; folders created later are watched too. The
+ * project config file is read once, so changing it requires a restart.
+ */
+
+import { existsSync, readdirSync, statSync, watch } from "node:fs";
+import { join, resolve } from "node:path";
+import { getMaxFiles, projectRoot } from "./common.js";
+
+// Security limits
+const MAX_WATCHED_FOLDERS = 10000; // One watcher (and file descriptor) per folder
+const MAX_LISTED_FINDINGS = 50; // Findings printed per change
+
+// Delay to group the events of one save (editors often write files in several steps)
+const DEBOUNCE_DELAY = 100;
+
+/**
+ * Exits if the output options cannot be used with --watch, which only
+ * prints to the console
+ * @param {object} output - Output options (see getOutputOptions in scripts/utils/formatters.js)
+ * @param {string} usage - Usage text of the script
+ */
+export function validateWatchOptions({ format, outputFile }, usage) {
+	if (format !== "pretty" || outputFile) {
+		console.error("\n❌ Error: --watch only supports the pretty console output (no --format or --output-file)\n");
+		console.error(usage);
+		process.exit(1);
+	}
+}
+
+/**
+ * Gets the keys identifying the findings of a report across runs: the
+ * fingerprint (independent of the line) when there is one, with a counter
+ * for identical findings of a file
+ */
+function getFindingKeys(findings) {
+	const counts = new Map();
+	return findings.map((finding) => {
+		const key = finding.fingerprint
+			? `${finding.ruleId}:${finding.file}:${finding.fingerprint}`
+			: `${finding.ruleId}:${finding.file}:${finding.startLine}:${finding.message}`;
+		const count = (counts.get(key) || 0) + 1;
+		counts.set(key, count);
+		return `${key}#${count}`;
+	});
+}
+
+/**
+ * Indexes the findings of a report by key
+ */
+function indexFindings(report) {
+	const keys = getFindingKeys(report.findings);
+	return new Map(keys.map((key, index) => [key, report.findings[index]]));
+}
+
+/**
+ * Builds the console lines of a list of findings
+ */
+function formatFindings(title, findings) {
+	if (findings.length === 0) {
+		return [];
+	}
+	const lines = [title];
+	for (const { level, file, startLine, message } of findings.slice(0, MAX_LISTED_FINDINGS)) {
+		lines.push(`   ${level === "error" ? "❌" : "⚠️ "} ${file}:${startLine} ${message}`);
+	}
+	if (findings.length > MAX_LISTED_FINDINGS) {
+		lines.push(`   ... and ${findings.length - MAX_LISTED_FINDINGS} more`);
+	}
+	return lines;
+}
+
+/**
+ * Watches the project and re-runs an incremental check on the files that change
+ * @param {object} params - Watch parameters
+ * @param {object} params.checker - Incremental check with `update(files)` (which may
+ *   return a promise), `remove(files)` and `getResult()` (see core/checks.js)
+ * @param {string[]} params.files - Files checked initially, relative to the project root
+ * @param {function(string): boolean} params.isWatched - Tells whether a project file
+ *   (relative path with `/` separators) belongs to the check
+ * @param {function(string, number): string[]} params.getFolders - Lists the folders to
+ *   watch under a project folder ("" for the root), up to a maximum number
+ * @param {function(object): object} params.getReport - Builds the report of a check
+ *   result, with the baseline applied (see scripts/utils/formatters.js)
+ * @param {object} params.report - Report of the initial run
+ * @returns {{close: function(): void}} - Closes the watchers (done on SIGINT)
+ */
+export function watchProject({ checker, files, isWatched, getFolders, getReport, report }) {
+	const checkedFiles = new Set(files);
+	let findings = indexFindings(report);
+	let pendingFiles = new Set();
+	let timer = null;
+	let running = false;
+
+	/**
+	 * Re-checks the changed files and prints the difference in findings.
+	 * Changes made while a check runs are checked right after it.
+	 */
+	async function runChanges() {
+		timer = null;
+		if (running) {
+			return;
+		}
+		running = true;
+		try {
+			await checkChanges();
+		} finally {
+			running = false;
+			if (pendingFiles.size > 0 && !timer) {
+				timer = setTimeout(runChanges, DEBOUNCE_DELAY);
+			}
+		}
+	}
+
+	/**
+	 * Checks the pending files again
+	 */
+	async function checkChanges() {
+		const changedFiles = [...pendingFiles].sort();
+		pendingFiles = new Set();
+
+		const removedFiles = changedFiles.filter((file) => !existsSync(resolve(projectRoot, file)));
+		const updatedFiles = changedFiles.filter((file) => !removedFiles.includes(file));
+		for (const file of removedFiles) {
+			checkedFiles.delete(file);
+		}
+
+		let result;
+		try {
+			checker.remove(removedFiles);
+			await checker.update(updatedFiles);
+			result = checker.getResult();
+		} catch (error) {
+			console.error(`\n❌ Error: ${error.message}\n`);
+			return;
+		}
+
+		const lines = [`\n🔄 ${changedFiles.join(", ")}`];
+		for (const { file, message } of result.errors) {
+			if (updatedFiles.includes(file)) {
+				lines.push(`   ${message}: ${file}`);
+			}
+		}
+
+		const currentFindings = indexFindings(getReport(result));
+		const newFindings = [...currentFindings].filter(([key]) => !findings.has(key)).map(([, finding]) => finding);
+		const resolvedFindings = [...findings].filter(([key]) => !currentFindings.has(key)).map(([, finding]) => finding);
+		findings = currentFindings;
+
+		lines.push(
+			...formatFindings("🆕 New findings:", newFindings),
+			...formatFindings("✅ Resolved findings:", resolvedFindings),
+		);
+		if (newFindings.length === 0 && resolvedFindings.length === 0) {
+			lines.push("   No new or resolved findings");
+		}
+		lines.push(`   ${findings.size} open findings in ${result.files.length} files`);
+		console.error(lines.join("\n"));
+	}
+
+	/**
+	 * Queues a changed file for the next check
+	 */
+	function queueFile(file) {
+		if (!isWatched(file)) {
+			return;
+		}
+		if (!checkedFiles.has(file)) {
+			// Same limit as the files processed by a run
+			if (checkedFiles.size >= getMaxFiles()) {
+				return;
+			}
+			checkedFiles.add(file);
+		}
+		pendingFiles.add(file);
+	}
+
+	// Watchers by project folder ("" for the root)
+	const watchers = new Map();
+
+	/**
+	 * Stops watching a removed folder and its subfolders, and queues the
+	 * files that were checked in them (they are removed from the check)
+	 */
+	function unwatchFolder(folder) {
+		for (const [watchedFolder, watcher] of watchers) {
+			if (watchedFolder === folder || watchedFolder.startsWith(`${folder}/`)) {
+				watcher.close();
+				watchers.delete(watchedFolder);
+			}
+		}
+		for (const file of checkedFiles) {
+			if (file.startsWith(`${folder}/`)) {
+				pendingFiles.add(file);
+			}
+		}
+	}
+
+	/**
+	 * Handles an event of a folder watcher
+	 */
+	function onChange(folder, filename) {
+		if (!filename) {
+			return;
+		}
+		const path = folder ? `${folder}/${filename}` : String(filename);
+		let isFolder = false;
+		try {
+			isFolder = statSync(join(projectRoot, path)).isDirectory();
+		} catch (error) {
+			// Removed
+		}
+
+		if (isFolder) {
+			// New folder (or folder moved in): watch it and check the files it already holds
+			for (const newFolder of watchFolders(path)) {
+				let entries = [];
+				try {
+					entries = readdirSync(join(projectRoot, newFolder), { withFileTypes: true });
+				} catch (error) {
+					// Removed in the meantime
+				}
+				for (const entry of entries) {
+					if (entry.isFile()) {
+						queueFile(`${newFolder}/${entry.name}`);
+					}
+				}
+			}
+		} else if (watchers.has(path)) {
+			unwatchFolder(path);
+		} else {
+			queueFile(path);
+		}
+
+		if (pendingFiles.size > 0) {
+			clearTimeout(timer);
+			timer = setTimeout(runChanges, DEBOUNCE_DELAY);
+		}
+	}
+
+	/**
+	 * Watches a folder and its subfolders that are not watched yet
+	 * @returns {string[]} - The folders that started being watched
+	 */
+	function watchFolders(folder) {
+		const added = [];
+		for (const subfolder of getFolders(folder, MAX_WATCHED_FOLDERS - watchers.size)) {
+			if (watchers.has(subfolder)) {
+				continue;
+			}
+			let watcher;
+			try {
+				watcher = watch(join(projectRoot, subfolder), (eventType, filename) => onChange(subfolder, filename));
+			} catch (error) {
+				if (subfolder === "") {
+					console.error(`\n❌ Error: cannot watch ${projectRoot}: ${error.message}\n`);
+					process.exit(1);
+				}
+				continue; // Removed or unreadable in the meantime
+			}
+			watcher.on("error", (error) => {
+				if (subfolder === "") {
+					console.error(`\n❌ Error: ${error.message}\n`);
+					process.exit(1);
+				}
+				unwatchFolder(subfolder);
+			});
+			watchers.set(subfolder, watcher);
+			added.push(subfolder);
+		}
+		return added;
+	}
+
+	const close = () => {
+		for (const watcher of watchers.values()) {
+			watcher.close();
+		}
+		watchers.clear();
+		clearTimeout(timer);
+	};
+
+	watchFolders("");
+	if (watchers.size >= MAX_WATCHED_FOLDERS) {
+		console.error(`Warning: only the first ${MAX_WATCHED_FOLDERS} folders of the project are watched`);
+	}
+	process.once("SIGINT", close);
+
+	console.error(`\n👀 Watching ${checkedFiles.size} files for changes (Ctrl+C to stop)...`);
+	return { close };
+}
@@ -0,0 +1,212 @@
+/**
+ * Baseline of accepted findings, shared by the validation scripts (which
+ * write it with --update-baseline) and the ESLint rules (which skip the
+ * findings it lists), so pre-existing violations do not block commits.
+ *
+ * Findings are identified by a fingerprint of the rule, the file and the
+ * code involved (not the line numbers), so entries survive code moving up
+ * or down in the file. A fingerprint listed N times accepts N findings.
+ */
+
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { join, resolve } from "node:path";
+
+// Baseline file, in the project root
+export const BASELINE_FILE = ".linter-rules-baseline.json";
+
+const BASELINE_VERSION = 1;
+
+// Security limits
+const MAX_BASELINE_SIZE = 50 * 1024 * 1024; // 50MB
+
+const loadedBaselines = new Map();
+
+// Invalid baselines already reported by a rule (keyed by rule, root and error)
+const reportedErrors = new Set();
+
+/**
+ * Computes the fingerprint of a finding
+ * @param {string} ruleId - Rule name, e.g. "no-code-duplication"
+ * @param {string} file - File path relative to the project root, with forward slashes
+ * @param {string} text - Code (or description) identifying the finding; whitespace is ignored
+ * @returns {string} - Fingerprint
+ */
+export function getFingerprint(ruleId, file, text) {
+	const normalized = String(text).replace(/\s+/g, " ").trim();
+	return createHash("sha256").update(`${ruleId}\0${file}\0${normalized}`).digest("hex").slice(0, 32);
+}
+
+/**
+ * Loads the baseline entries of a project, cached until the file changes
+ * @param {string} root - Project root
+ * @returns {Array<{ruleId: string, file: string, fingerprint: string}>} - Entries (empty without baseline)
+ * @throws {Error} - If the baseline file is invalid
+ */
+export function loadBaseline(root) {
+	const baselinePath = join(resolve(root), BASELINE_FILE);
+	if (!existsSync(baselinePath)) {
+		return [];
+	}
+
+	const { mtimeMs, size } = statSync(baselinePath);
+	const cached = loadedBaselines.get(baselinePath);
+	if (cached && cached.mtimeMs === mtimeMs) {
+		return cached.entries;
+	}
+
+	let data;
+	try {
+		if (size > MAX_BASELINE_SIZE) {
+			throw new Error("file is larger than 50MB");
+		}
+		data = JSON.parse(readFileSync(baselinePath, "utf-8"));
+	} catch (error) {
+		throw new Error(`Invalid baseline ${BASELINE_FILE}: ${error.message}`);
+	}
+
+	if (!data || data.version !== BASELINE_VERSION || !Array.isArray(data.entries)) {
+		throw new Error(
+			`Invalid baseline ${BASELINE_FILE}: expected version ${BASELINE_VERSION} with an "entries" array. Regenerate it with --update-baseline`,
+		);
+	}
+
+	const entries = data.entries.filter(
+		(entry) =>
+			entry &&
+			typeof entry.ruleId === "string" &&
+			typeof entry.file === "string" &&
+			typeof entry.fingerprint === "string",
+	);
+	loadedBaselines.set(baselinePath, { mtimeMs, entries });
+	return entries;
+}
+
+/**
+ * Counts the accepted occurrences of each fingerprint
+ */
+function countFingerprints(entries) {
+	const counts = new Map();
+	for (const entry of entries) {
+		counts.set(entry.fingerprint, (counts.get(entry.fingerprint) || 0) + 1);
+	}
+	return counts;
+}
+
+/**
+ * Splits findings into new ones and baselined ones, and lists the baseline
+ * entries that no longer occur
+ * @param {Array<object>} findings - Findings with `file` and `fingerprint`
+ * @param {Array<object>} entries - Baseline entries (see loadBaseline)
+ * @param {object} scope - What was analysed
+ * @param {string} scope.ruleId - Rule the findings belong to
+ * @param {string[]} scope.files - Analysed files; entries of other files are neither matched nor fixed
+ * @returns {{newFindings: Array<object>, baselinedCount: number, fixedEntries: Array<object>}} - Result
+ */
+export function applyBaseline(findings, entries, { ruleId, files }) {
+	const analysedFiles = new Set(files);
+	const scopedEntries = entries.filter((entry) => entry.ruleId === ruleId && analysedFiles.has(entry.file));
+	const remaining = countFingerprints(scopedEntries);
+
+	const newFindings = [];
+	let baselinedCount = 0;
+	for (const finding of findings) {
+		const count = remaining.get(finding.fingerprint) || 0;
+		if (count > 0) {
+			remaining.set(finding.fingerprint, count - 1);
+			baselinedCount++;
+		} else {
+			newFindings.push(finding);
+		}
+	}
+
+	// Entries left over no longer match any finding: they were fixed
+	const fixedEntries = [];
+	for (const entry of scopedEntries) {
+		const count = remaining.get(entry.fingerprint) || 0;
+		if (count > 0) {
+			remaining.set(entry.fingerprint, count - 1);
+			fixedEntries.push(entry);
+		}
+	}
+
+	return { newFindings, baselinedCount, fixedEntries };
+}
+
+/**
+ * Records the current findings of the analysed files in the baseline,
+ * keeping the entries of other rules and files
+ * @param {string} root - Project root
+ * @param {Array<object>} findings - Findings with `file`, `fingerprint`, `startLine` and `message`
+ * @param {object} scope - What was analysed
+ * @param {string} scope.ruleId - Rule the findings belong to
+ * @param {string[]} scope.files - Analysed files
+ * @returns {number} - Number of entries recorded for the rule
+ */
+export function updateBaseline(root, findings, { ruleId, files }) {
+	const analysedFiles = new Set(files);
+	const kept = loadBaseline(root).filter(
+		(entry) => entry.ruleId !== ruleId || !analysedFiles.has(entry.file),
+	);
+
+	const added = findings.map((finding) => ({
+		ruleId,
+		file: finding.file,
+		fingerprint: finding.fingerprint,
+		// Informative only: matching ignores lines and messages
+		line: finding.startLine,
+		message: finding.message,
+	}));
+
+	const entries = [...kept, ...added].sort(
+		(a, b) =>
+			a.file.localeCompare(b.file) ||
+			a.ruleId.localeCompare(b.ruleId) ||
+			(a.line || 0) - (b.line || 0) ||
+			a.fingerprint.localeCompare(b.fingerprint),
+	);
+
+	writeFileSync(
+		join(resolve(root), BASELINE_FILE),
+		`${JSON.stringify({ version: BASELINE_VERSION, entries }, null, 2)}\n`,
+	);
+	return entries.filter((entry) => entry.ruleId === ruleId).length;
+}
+
+/**
+ * Creates the baseline check used by a rule while linting one file: each
+ * call consumes one accepted occurrence of the fingerprint. An invalid
+ * baseline is ignored rather than thrown, so it cannot crash ESLint.
+ * @param {string} root - Project root
+ * @param {string} ruleId - Rule name
+ * @param {string} file - File path relative to the project root, with forward slashes
+ * @param {function(Error): void} onInvalid - Called with the load error the first
+ *   time a rule meets an invalid baseline
+ * @returns {function(string): boolean} - Returns true if a finding is baselined
+ */
+export function createBaselineFilter(root, ruleId, file, onInvalid) {
+	let entries;
+	try {
+		entries = loadBaseline(root);
+	} catch (error) {
+		const key = `${ruleId}\0${resolve(root)}\0${error.message}`;
+		if (!reportedErrors.has(key)) {
+			reportedErrors.add(key);
+			onInvalid(error);
+		}
+		entries = [];
+	}
+
+	const remaining = countFingerprints(
+		entries.filter((entry) => entry.ruleId === ruleId && entry.file === file),
+	);
+
+	return (fingerprint) => {
+		const count = remaining.get(fingerprint) || 0;
+		if (count === 0) {
+			return false;
+		}
+		remaining.set(fingerprint, count - 1);
+		return true;
+	};
+}
@@ -0,0 +1,743 @@
+/**
+ * Token-based clone detection engine.
+ * Works on a token stream (ESLint tokens or the built-in tokenizer) and finds
+ * duplicated token sequences with a Rabin-Karp rolling hash, so clones are
+ * detected regardless of line breaks and formatting.
+ */
+
+// Default minimum number of tokens for a sequence to be considered a clone
+export const MIN_DUPLICATION_TOKENS = 50;
+
+// Normalization levels, from the strictest: exact copies only (Type-1
+// clones), renamed identifiers (Type-2, default), and renamed identifiers
+// with changed literal values
+export const NORMALIZATION_LEVELS = ["exact", "identifiers", "literals"];
+
+// Security limits
+const MAX_TOKENS_PER_FILE = 500000; // Skip token streams larger than this
+const MAX_CANDIDATES_PER_HASH = 16; // Limit occurrences checked per hash bucket (MAX_BUCKET_NEIGHBORS for the line detector)
+const MAX_INDEXED_FILES = 20000; // Limit files kept in a clone index
+const MAX_SIGNIFICANT_IDENTIFIERS = 1000;
+const MAX_IDENTIFIER_PATTERN_LENGTH = 100;
+
+// Bump when the serialized index format or the normalization changes
+const INDEX_VERSION = 1;
+
+// Rolling hash parameters (arithmetic is done modulo 2^32)
+const HASH_BASE = 1000003;
+
+// Words kept verbatim during normalization (everything else is an identifier)
+const KEYWORDS = new Set([
+	"if", "else", "for", "while", "do", "switch", "case", "break", "continue",
+	"return", "function", "const", "let", "var", "class", "extends", "implements",
+	"import", "export", "from", "default", "async", "await", "try", "catch", "finally",
+	"throw", "new", "this", "super", "typeof", "instanceof", "in", "of", "true", "false",
+	"null", "undefined", "void", "any", "string", "number", "boolean", "object",
+	"interface", "type", "enum", "namespace", "module", "declare", "as", "is",
+	"delete", "yield", "static", "get", "set", "with", "debugger", "keyof",
+	"readonly", "unknown", "never", "private", "protected", "public", "abstract",
+]);
+
+// JavaScript reserved words reported as "Keyword" tokens by the tokenizer
+const RESERVED_WORDS = new Set([
+	"await", "break", "case", "catch", "class", "const", "continue", "debugger",
+	"default", "delete", "do", "else", "export", "extends", "finally", "for",
+	"function", "if", "import", "in", "instanceof", "let", "new", "return",
+	"super", "switch", "this", "throw", "try", "typeof", "var", "void", "while",
+	"with", "yield",
+]);
+
+// Multi-character punctuators, longest first so the tokenizer matches greedily
+const PUNCTUATORS = [
+	">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=", "??=",
+	"=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--", "+=", "-=",
+	"*=", "/=", "%=", "&=", "|=", "^=", "**", "<<", ">>",
+];
+
+// Keywords after which a "/" starts a regular expression rather than a division
+const REGEX_PRECEDING_KEYWORDS = new Set([
+	"return", "typeof", "instanceof", "in", "of", "new", "delete", "void",
+	"throw", "case", "do", "else", "yield", "await",
+]);
+
+/**
+ * Tokenizes JavaScript/TypeScript source into ESLint-like tokens.
+ * Comments and whitespace are skipped. This is a lightweight lexer meant for
+ * scripts that run without a parser; it does not validate syntax.
+ * @param {string} source - Source code to tokenize
+ * @returns {Array<{type: string, value: string, range: number[], loc: object}>} - Tokens
+ */
+export function tokenize(source) {
+	const tokens = [];
+	const length = source.length;
+	let index = 0;
+	let line = 1;
+	let lineStart = 0;
+
+	const position = (offset) => ({ line, column: offset - lineStart });
+
+	// Advances over a range of characters, keeping track of line numbers
+	const advanceTo = (end) => {
+		for (let i = index; i < end; i++) {
+			if (source[i] === "\n") {
+				line++;
+				lineStart = i + 1;
+			}
+		}
+		index = end;
+	};
+
+	const pushToken = (type, end) => {
+		const start = position(index);
+		const startOffset = index;
+		advanceTo(end);
+		tokens.push({
+			type,
+			value: source.slice(startOffset, end),
+			range: [startOffset, end],
+			loc: { start, end: position(end) },
+		});
+	};
+
+	while (index < length) {
+		if (tokens.length >= MAX_TOKENS_PER_FILE) {
+			break;
+		}
+
+		const char = source[index];
+		const next = source[index + 1];
+
+		// Whitespace
+		if (/\s/.test(char)) {
+			advanceTo(index + 1);
+			continue;
+		}
+
+		// Comments
+		if (char === "/" && next === "/") {
+			const end = source.indexOf("\n", index);
+			advanceTo(end === -1 ? length : end);
+			continue;
+		}
+		if (char === "/" && next === "*") {
+			const end = source.indexOf("*/", index + 2);
+			advanceTo(end === -1 ? length : end + 2);
+			continue;
+		}
+
+		// Strings
+		if (char === '"' || char === "'") {
+			pushToken("String", skipString(source, index));
+			continue;
+		}
+
+		// Template literals (including their embedded expressions)
+		if (char === "`") {
+			pushToken("Template", skipTemplate(source, index));
+			continue;
+		}
+
+		// Numbers
+		if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(next || ""))) {
+			const match = /^(?:0[xXoObB][0-9a-fA-F_]+|(?:\d[\d_]*)?\.?[\d_]*(?:[eE][+-]?\d+)?)n?/.exec(
+				source.slice(index, index + 100),
+			);
+			pushToken("Numeric", index + Math.max(1, match[0].length));
+			continue;
+		}
+
+		// Identifiers, keywords and private names
+		if (/[A-Za-z_$#\u0080-\uffff]/.test(char)) {
+			let end = index + 1;
+			while (end < length && /[\w$\u0080-\uffff]/.test(source[end])) {
+				end++;
+			}
+			const word = source.slice(index, end);
+			let type = "Identifier";
+			if (char === "#") {
+				type = "PrivateIdentifier";
+			} else if (word === "true" || word === "false") {
+				type = "Boolean";
+			} else if (word === "null") {
+				type = "Null";
+			} else if (RESERVED_WORDS.has(word)) {
+				type = "Keyword";
+			}
+			pushToken(type, end);
+			continue;
+		}
+
+		// Regular expressions
+		if (char === "/" && isRegexAllowed(tokens[tokens.length - 1])) {
+			const end = skipRegex(source, index);
+			if (end !== -1) {
+				pushToken("RegularExpression", end);
+				continue;
+			}
+		}
+
+		// Punctuators
+		const punctuator =
+			PUNCTUATORS.find((candidate) => source.startsWith(candidate, index)) || char;
+		pushToken("Punctuator", index + punctuator.length);
+	}
+
+	return tokens;
+}
+
+/**
+ * Returns the offset just after a quoted string starting at `start`
+ */
+function skipString(source, start) {
+	const quote = source[start];
+	let index = start + 1;
+	while (index < source.length) {
+		const char = source[index];
+		if (char === "\\") {
+			index += 2;
+			continue;
+		}
+		if (char === quote || char === "\n") {
+			return index + 1;
+		}
+		index++;
+	}
+	return source.length;
+}
+
+/**
+ * Returns the offset just after a template literal starting at `start`
+ */
+function skipTemplate(source, start) {
+	let index = start + 1;
+	while (index < source.length) {
+		const char = source[index];
+		if (char === "\\") {
+			index += 2;
+			continue;
+		}
+		if (char === "`") {
+			return index + 1;
+		}
+		if (char === "$" && source[index + 1] === "{") {
+			index = skipTemplateExpression(source, index + 2);
+			continue;
+		}
+		index++;
+	}
+	return source.length;
+}
+
+/**
+ * Returns the offset just after the closing brace of a `${...}` expression
+ */
+function skipTemplateExpression(source, start) {
+	let depth = 1;
+	let index = start;
+	while (index < source.length) {
+		const char = source[index];
+		if (char === '"' || char === "'") {
+			index = skipString(source, index);
+			continue;
+		}
+		if (char === "`") {
+			index = skipTemplate(source, index);
+			continue;
+		}
+		if (char === "{") {
+			depth++;
+		} else if (char === "}") {
+			depth--;
+			if (depth === 0) {
+				return index + 1;
+			}
+		}
+		index++;
+	}
+	return source.length;
+}
+
+/**
+ * Returns the offset just after a regular expression literal starting at
+ * `start`, or -1 if it is not terminated on the same line
+ */
+function skipRegex(source, start) {
+	let index = start + 1;
+	let inClass = false;
+	while (index < source.length) {
+		const char = source[index];
+		if (char === "\n") {
+			return -1;
+		}
+		if (char === "\\") {
+			index += 2;
+			continue;
+		}
+		if (char === "[") {
+			inClass = true;
+		} else if (char === "]") {
+			inClass = false;
+		} else if (char === "/" && !inClass) {
+			index++;
+			while (index < source.length && /[a-z]/i.test(source[index])) {
+				index++;
+			}
+			return index;
+		}
+		index++;
+	}
+	return -1;
+}
+
+/**
+ * Decides whether a "/" following the given token starts a regular expression
+ */
+function isRegexAllowed(previousToken) {
+	if (!previousToken) {
+		return true;
+	}
+	if (previousToken.type === "Keyword") {
+		return REGEX_PRECEDING_KEYWORDS.has(previousToken.value);
+	}
+	if (previousToken.type === "Punctuator") {
+		return ![")", "]", "}", "<"].includes(previousToken.value);
+	}
+	return false;
+}
+
+/**
+ * Creates the test of the identifiers that are never abstracted (e.g. API
+ * names such as `useState` or `fetch`), from names where `*` matches any
+ * identifier characters (e.g. `use*`)
+ * @param {string[]} [significantIdentifiers] - Names or patterns; invalid entries are ignored
+ * @returns {function(string): boolean} - Tells whether an identifier is significant
+ */
+export function createSignificantIdentifierFilter(significantIdentifiers = []) {
+	if (!Array.isArray(significantIdentifiers) || significantIdentifiers.length === 0) {
+		return () => false;
+	}
+
+	const names = new Set();
+	const patterns = [];
+	for (const entry of significantIdentifiers.slice(0, MAX_SIGNIFICANT_IDENTIFIERS)) {
+		if (
+			typeof entry !== "string" ||
+			entry.length > MAX_IDENTIFIER_PATTERN_LENGTH ||
+			!/^[\w$*]+$/.test(entry) ||
+			entry.replace(/\*/g, "").length === 0
+		) {
+			continue;
+		}
+		if (entry.includes("*")) {
+			patterns.push(new RegExp(`^${entry.replace(/\$/g, "\\$").replace(/\*+/g, "[\\w$]*")}$`));
+		} else {
+			names.add(entry);
+		}
+	}
+	return (identifier) => names.has(identifier) || patterns.some((pattern) => pattern.test(identifier));
+}
+
+/**
+ * Gets the key identifying normalization options, for caches of normalized data
+ * @param {object} [normalization] - Normalization options (see createTokenNormalizer)
+ * @returns {string} - Key
+ */
+export function getNormalizationKey({ level, significantIdentifiers } = {}) {
+	const validLevel = NORMALIZATION_LEVELS.includes(level) ? level : "identifiers";
+	const names = Array.isArray(significantIdentifiers)
+		? significantIdentifiers.filter((name) => typeof name === "string").slice(0, MAX_SIGNIFICANT_IDENTIFIERS)
+		: [];
+	return names.length > 0 ? `${validLevel}:${names.join(",")}` : validLevel;
+}
+
+/**
+ * Creates the function mapping a token to its normalized value:
+ * - "exact": every token is kept verbatim
+ * - "identifiers": identifiers become a placeholder so renamed variables still
+ *   match, except keywords and significant identifiers
+ * - "literals": strings, numbers, templates, regular expressions and JSX text
+ *   become a placeholder too
+ * @param {object} [normalization] - Normalization options
+ * @param {string} [normalization.level] - One of NORMALIZATION_LEVELS (default: "identifiers")
+ * @param {string[]} [normalization.significantIdentifiers] - Identifiers never abstracted
+ *   (see createSignificantIdentifierFilter)
+ * @returns {function(object): string} - Normalizer
+ */
+export function createTokenNormalizer({ level = "identifiers", significantIdentifiers = [] } = {}) {
+	const abstractsIdentifiers = level !== "exact";
+	const abstractsLiterals = level === "literals";
+	const isSignificant = createSignificantIdentifierFilter(significantIdentifiers);
+
+	return (token) => {
+		switch (token.type) {
+			case "Identifier":
+			case "JSXIdentifier":
+			case "PrivateIdentifier":
+				return !abstractsIdentifiers || KEYWORDS.has(token.value) || isSignificant(token.value)
+					? token.value
+					: "$id";
+			case "String":
+			case "Numeric":
+			case "Template":
+			case "RegularExpression":
+				return abstractsLiterals ? "$lit" : token.value;
+			case "JSXText": {
+				const text = token.value.trim().replace(/\s+/g, " ");
+				return abstractsLiterals && text.length > 0 ? "$lit" : text;
+			}
+			default:
+				return token.value;
+		}
+	};
+}
+
+// Normalizer of the default level
+const normalizeToken = createTokenNormalizer();
+
+/**
+ * Converts a token stream to a compact, JSON-compatible form for caches:
+ * the normalized value of each token and its location (6 numbers per token,
+ * as in serialized indexes)
+ * @param {object[]} tokens - Token stream
+ * @param {object} [normalization] - Normalization options (see createTokenNormalizer)
+ * @returns {{values: string[], locs: number[]}} - Serialized tokens
+ */
+export function serializeTokens(tokens, normalization) {
+	const normalize = normalization ? createTokenNormalizer(normalization) : normalizeToken;
+	const values = [];
+	const locs = [];
+	for (const token of tokens) {
+		const value = normalize(token);
+		if (value.length === 0) {
+			continue; // Whitespace-only JSX text
+		}
+		values.push(value);
+		locs.push(
+			token.loc.start.line, token.loc.start.column,
+			token.loc.end.line, token.loc.end.column,
+			token.range[0], token.range[1],
+		);
+	}
+	return { values, locs };
+}
+
+/**
+ * Restores a token stream serialized with serializeTokens. The tokens carry
+ * their normalized value, which the index keeps as is.
+ * @param {{values: string[], locs: number[]}} data - Serialized tokens
+ * @returns {object[]|null} - Tokens, or null if the data is invalid
+ */
+export function deserializeTokens(data) {
+	if (!data || !Array.isArray(data.values) || !Array.isArray(data.locs) || data.locs.length !== data.values.length * 6) {
+		return null;
+	}
+	return data.values.map((value, i) => {
+		const offset = i * 6;
+		return {
+			type: "Normalized",
+			value,
+			loc: {
+				start: { line: data.locs[offset], column: data.locs[offset + 1] },
+				end: { line: data.locs[offset + 2], column: data.locs[offset + 3] },
+			},
+			range: [data.locs[offset + 4], data.locs[offset + 5]],
+		};
+	});
+}
+
+/**
+ * Creates an incremental clone index.
+ * Files can be added, replaced and removed one at a time; each update returns
+ * the clones the file shares with files already in the index (and with itself).
+ * The index can be serialized to plain JSON and restored later.
+ * @param {object} options - Index options
+ * @param {number} options.minTokens - Minimum number of tokens for a clone
+ * @param {object} [options.normalization] - Normalization options (see createTokenNormalizer)
+ * @param {object} [options.data] - Previously serialized index to restore
+ * @returns {object} - Clone index
+ */
+export function createCloneIndex({ minTokens = MIN_DUPLICATION_TOKENS, normalization, data } = {}) {
+	const windowSize = Math.max(1, Math.floor(minTokens));
+	const normalize = normalization ? createTokenNormalizer(normalization) : normalizeToken;
+	const normalizationKey = getNormalizationKey(normalization);
+	const values = [];
+	const idTable = new Map();
+	const files = new Map();
+	const buckets = new Map();
+
+	// HASH_BASE^(windowSize - 1), used to remove the leading token from the hash
+	let highPower = 1;
+	for (let i = 1; i < windowSize; i++) {
+		highPower = Math.imul(highPower, HASH_BASE) >>> 0;
+	}
+
+	const internValue = (value) => {
+		if (!idTable.has(value)) {
+			idTable.set(value, values.length);
+			values.push(value);
+		}
+		return idTable.get(value);
+	};
+
+	const describe = (file, start, length) => {
+		const { items } = files.get(file);
+		const first = items[start];
+		const last = items[start + length - 1];
+		return {
+			file,
+			start: { ...first.start },
+			end: { ...last.end },
+			range: [first.range[0], last.range[1]],
+		};
+	};
+
+	/**
+	 * Verifies hash candidates against the actual token ids and returns the
+	 * longest valid match, extended as far as the token streams stay equal.
+	 * A same-file match that runs into the duplicate itself is periodic code
+	 * (the same block repeated back to back): the nearest copy is preferred,
+	 * so each repetition matches the previous one instead of spanning several.
+	 */
+	const findMatch = (file, items, candidates, position) => {
+		let best = null;
+		let periodic = null;
+
+		for (const candidate of candidates) {
+			const otherItems =
+				candidate.file === file ? items : files.get(candidate.file).items;
+
+			// Same-file occurrences must not overlap
+			const maxLength =
+				candidate.file === file ? position - candidate.position : Infinity;
+			if (maxLength < windowSize) {
+				continue;
+			}
+
+			let length = 0;
+			while (
+				length < maxLength &&
+				position + length < items.length &&
+				candidate.position + length < otherItems.length &&
+				items[position + length].id === otherItems[candidate.position + length].id
+			) {
+				length++;
+			}
+
+			if (length < windowSize) {
+				continue;
+			}
+			if (length === maxLength && (!periodic || candidate.position > periodic.position)) {
+				periodic = { ...candidate, length };
+			}
+			if (!best || length > best.length) {
+				best = { ...candidate, length };
+			}
+		}
+
+		return periodic || best;
+	};
+
+	/**
+	 * Hashes every window of a file, collecting matches against the index
+	 * before inserting the window itself
+	 */
+	const insert = (file, items, meta) => {
+		const hashes = [];
+		const matches = [];
+		files.set(file, { items, hashes, meta });
+
+		if (items.length < windowSize) {
+			return matches;
+		}
+
+		let hash = 0;
+		for (let i = 0; i < windowSize; i++) {
+			hash = (Math.imul(hash, HASH_BASE) + items[i].id) >>> 0;
+		}
+
+		// Positions up to this one belong to an already reported clone
+		let skipUntil = -1;
+
+		for (let position = 0; position + windowSize <= items.length; position++) {
+			if (position > 0) {
+				const removed = Math.imul(items[position - 1].id, highPower) >>> 0;
+				hash = (Math.imul((hash - removed) >>> 0, HASH_BASE) + items[position + windowSize - 1].id) >>> 0;
+			}
+
+			const candidates = buckets.get(hash);
+			if (position > skipUntil && candidates) {
+				const match = findMatch(file, items, candidates, position);
+				if (match) {
+					matches.push({
+						tokenCount: match.length,
+						original: describe(match.file, match.position, match.length),
+						duplicate: describe(file, position, match.length),
+					});
+					skipUntil = position + match.length - 1;
+				}
+			}
+
+			if (!candidates) {
+				buckets.set(hash, [{ file, position }]);
+				hashes.push(hash);
+			} else if (candidates.length < MAX_CANDIDATES_PER_HASH) {
+				candidates.push({ file, position });
+				hashes.push(hash);
+			}
+		}
+
+		return matches;
+	};
+
+	const index = {
+		/**
+		 * Removes a file and all its windows from the index
+		 * @param {string} file - File identifier
+		 */
+		removeFile(file) {
+			const entry = files.get(file);
+			if (!entry) {
+				return;
+			}
+			for (const hash of new Set(entry.hashes)) {
+				const remaining = buckets.get(hash).filter((candidate) => candidate.file !== file);
+				if (remaining.length > 0) {
+					buckets.set(hash, remaining);
+				} else {
+					buckets.delete(hash);
+				}
+			}
+			files.delete(file);
+		},
+
+		/**
+		 * Adds or replaces a file in the index
+		 * @param {string} file - File identifier
+		 * @param {object[]} tokens - Token stream of the file
+		 * @param {object} [meta] - Arbitrary data stored with the file (e.g. mtime)
+		 * @returns {Array<{tokenCount: number, original: object, duplicate: object}>} -
+		 *   Clones found, `duplicate` being the occurrence in this file
+		 */
+		updateFile(file, tokens, meta = {}) {
+			index.removeFile(file);
+			if (tokens.length > MAX_TOKENS_PER_FILE || files.size >= MAX_INDEXED_FILES) {
+				return [];
+			}
+
+			const items = [];
+			for (const token of tokens) {
+				const value = normalize(token);
+				if (value.length === 0) {
+					continue; // Whitespace-only JSX text
+				}
+				items.push({
+					id: internValue(value),
+					start: token.loc.start,
+					end: token.loc.end,
+					range: token.range,
+				});
+			}
+
+			return insert(file, items, meta);
+		},
+
+		/**
+		 * Lists indexed files with the metadata stored for them
+		 * @returns {Array<[string, object]>} - File identifiers and metadata
+		 */
+		getFiles() {
+			return [...files].map(([file, entry]) => [file, entry.meta]);
+		},
+
+		/**
+		 * Serializes the index to a JSON-compatible object
+		 * @returns {object} - Serialized index
+		 */
+		serialize() {
+			const serializedFiles = {};
+			for (const [file, { items, meta }] of files) {
+				const locs = [];
+				for (const item of items) {
+					locs.push(
+						item.start.line, item.start.column,
+						item.end.line, item.end.column,
+						item.range[0], item.range[1],
+					);
+				}
+				serializedFiles[file] = {
+					meta,
+					ids: items.map((item) => item.id),
+					locs,
+				};
+			}
+			return {
+				version: INDEX_VERSION,
+				minTokens: windowSize,
+				normalization: normalizationKey,
+				values,
+				files: serializedFiles,
+			};
+		},
+	};
+
+	// Restore a serialized index built with the same options
+	if (
+		data &&
+		data.version === INDEX_VERSION &&
+		data.minTokens === windowSize &&
+		(data.normalization || "identifiers") === normalizationKey
+	) {
+		for (const [file, entry] of Object.entries(data.files || {})) {
+			if (files.size >= MAX_INDEXED_FILES) {
+				break;
+			}
+			const items = entry.ids.map((id, i) => {
+				const offset = i * 6;
+				return {
+					id: internValue(data.values[id]),
+					start: { line: entry.locs[offset], column: entry.locs[offset + 1] },
+					end: { line: entry.locs[offset + 2], column: entry.locs[offset + 3] },
+					range: [entry.locs[offset + 4], entry.locs[offset + 5]],
+				};
+			});
+			insert(file, items, entry.meta || {});
+		}
+	}
+
+	return index;
+}
+
+/**
+ * Finds duplicated token sequences within and across files.
+ * @param {Array<{file: string, tokens: object[]}>} files - Token streams to compare
+ * @param {object} options - Detection options
+ * @param {number} options.minTokens - Minimum number of tokens for a clone
+ * @param {object} [options.normalization] - Normalization options (see createTokenNormalizer)
+ * @returns {Array<{tokenCount: number, occurrences: object[]}>} - Clone groups,
+ *   each occurrence being `{ file, start: {line, column}, end: {line, column}, range }`
+ */
+export function findClones(files, { minTokens = MIN_DUPLICATION_TOKENS, normalization } = {}) {
+	const index = createCloneIndex({ minTokens, normalization });
+	const groups = new Map();
+
+	for (const { file, tokens } of files) {
+		for (const { tokenCount, original, duplicate } of index.updateFile(file, tokens)) {
+			// Group copies of the same original block (same start and length)
+			const key = `${original.file}:${original.range[0]}:${tokenCount}`;
+			if (!groups.has(key)) {
+				groups.set(key, { tokenCount, occurrences: [original] });
+			}
+			groups.get(key).occurrences.push(duplicate);
+		}
+	}
+
+	return [...groups.values()].map((group) => ({
+		tokenCount: group.tokenCount,
+		occurrences: group.occurrences.sort(
+			(a, b) =>
+				a.file.localeCompare(b.file) ||
+				a.start.line - b.start.line ||
+				a.start.column - b.start.column,
+		),
+	}));
+}
@@ -0,0 +1,94 @@
+/**
+ * Shared clone index for cross-file duplication detection in ESLint runs.
+ * One index is kept per process (per working directory, cache file and
+ * options), so every file linted in the same run is compared against the
+ * files linted before it. The index can be persisted to a cache file so that
+ * later runs also know about files linted earlier.
+ */
+
+import { existsSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { createCloneIndex, getNormalizationKey } from "./clone-detector.js";
+import { validatePath } from "../core/paths.js";
+
+// Security limits
+const MAX_CACHE_SIZE = 200 * 1024 * 1024; // 200MB
+
+const sharedIndexes = new Map();
+
+/**
+ * Loads a serialized index from the cache file, ignoring unreadable caches
+ */
+function readCache(cachePath) {
+	try {
+		if (!existsSync(cachePath) || statSync(cachePath).size > MAX_CACHE_SIZE) {
+			return null;
+		}
+		return JSON.parse(readFileSync(cachePath, "utf-8"));
+	} catch (error) {
+		// Corrupt or unreadable cache: start from scratch
+		return null;
+	}
+}
+
+/**
+ * Returns file metadata used to detect stale cache entries
+ * @param {string} fullPath - Absolute path of the file
+ * @returns {{mtimeMs: number, size: number}|null} - Metadata, or null if unavailable
+ */
+export function getFileMeta(fullPath) {
+	try {
+		const stats = statSync(fullPath);
+		return { mtimeMs: stats.mtimeMs, size: stats.size };
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Gets (or creates) the clone index shared by all files of the current run
+ * @param {object} options - Index options
+ * @param {string} options.cwd - Working directory file paths are relative to
+ * @param {number} options.minTokens - Minimum number of tokens for a clone
+ * @param {object} [options.normalization] - Normalization options (see createTokenNormalizer
+ *   in utils/clone-detector.js)
+ * @param {string} [options.cacheFile] - Cache file path, relative to `cwd`
+ * @returns {object} - Clone index (see createCloneIndex)
+ */
+export function getSharedCloneIndex({ cwd, minTokens, normalization, cacheFile }) {
+	const relativeCachePath = cacheFile ? validatePath(cacheFile, cwd) : null;
+	const cachePath = relativeCachePath ? resolve(cwd, relativeCachePath) : null;
+	const key = `${cwd}\0${cachePath || ""}\0${minTokens}\0${getNormalizationKey(normalization)}`;
+
+	if (sharedIndexes.has(key)) {
+		return sharedIndexes.get(key);
+	}
+
+	const index = createCloneIndex({
+		minTokens,
+		normalization,
+		data: cachePath ? readCache(cachePath) : null,
+	});
+
+	// Drop cached files that were deleted or modified since they were indexed
+	for (const [file, meta] of index.getFiles()) {
+		const current = getFileMeta(resolve(cwd, file));
+		if (!current || current.mtimeMs !== meta.mtimeMs || current.size !== meta.size) {
+			index.removeFile(file);
+		}
+	}
+
+	// ESLint has no end-of-run hook for rules, so persist when the process exits
+	if (cachePath) {
+		process.once("exit", () => {
+			try {
+				writeFileSync(cachePath, JSON.stringify(index.serialize()));
+			} catch (error) {
+				// Cache is best effort
+			}
+		});
+	}
+
+	sharedIndexes.set(key, index);
+	return index;
+}
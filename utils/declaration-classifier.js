@@ -0,0 +1,237 @@
+/**
+ * Classification of TypeScript declarations shared by the no-inline-interfaces
+ * rule and the scripts, so both flag exactly the same declarations.
+ */
+
+// Rule modes, from the most to the least strict
+// - strict: every declaration (except simple type aliases) is reported
+// - component-files: nested declarations, plus top-level ones in files that
+//   export functions or components
+// - nested: only declarations nested in function or class bodies
+export const MODES = ["strict", "component-files", "nested"];
+
+// Message ids used by the strict mode, per declaration kind
+const STRICT_MESSAGE_IDS = {
+	interface: "inlineInterface",
+	type: "inlineType",
+	enum: "inlineEnum",
+};
+
+// Node types whose bodies make a declaration "nested"
+const NESTING_TYPES = new Set([
+	"FunctionDeclaration",
+	"FunctionExpression",
+	"ArrowFunctionExpression",
+	"ClassDeclaration",
+	"ClassExpression",
+	"ClassBody",
+]);
+
+/**
+ * Checks whether a type alias is simple enough to be defined inline:
+ * primitives and unions of primitives (not literals)
+ * @param {object} node - TSTypeAliasDeclaration node
+ * @returns {boolean} - True if the alias is allowed inline
+ */
+export function isSimpleTypeAlias(node) {
+	const typeNode = node.typeAnnotation;
+	if (!typeNode) {
+		return true;
+	}
+
+	// Allow only simple primitive types and unions of primitives (not literals)
+	return (
+		typeNode.type === "TSStringKeyword" ||
+		typeNode.type === "TSNumberKeyword" ||
+		typeNode.type === "TSBooleanKeyword" ||
+		typeNode.type === "TSNullKeyword" ||
+		typeNode.type === "TSUndefinedKeyword" ||
+		typeNode.type === "TSVoidKeyword" ||
+		typeNode.type === "TSAnyKeyword" ||
+		// Allow unions of primitive types only (string | number | boolean)
+		// But NOT unions with literal types (like "1900" | "1901")
+		(typeNode.type === "TSUnionType" &&
+			typeNode.types.every(
+				(t) =>
+					t.type === "TSStringKeyword" ||
+					t.type === "TSNumberKeyword" ||
+					t.type === "TSBooleanKeyword",
+			)) ||
+		(typeNode.type === "TSFunctionType" &&
+			!typeNode.typeAnnotation?.typeAnnotation?.type?.includes("Object"))
+	);
+}
+
+/**
+ * Returns the kind of a declaration that should not be defined inline
+ * @param {object} node - AST node
+ * @returns {"interface"|"type"|"enum"|null} - Kind, or null if the node is allowed
+ */
+export function getInlineDeclarationKind(node) {
+	switch (node.type) {
+		case "TSInterfaceDeclaration":
+			return "interface";
+		case "TSTypeAliasDeclaration":
+			return isSimpleTypeAlias(node) ? null : "type";
+		case "TSEnumDeclaration":
+			return "enum";
+		default:
+			return null;
+	}
+}
+
+/**
+ * Walks an AST (without relying on `parent` links) and collects the
+ * declarations that should not be defined inline
+ * @param {object} ast - Program node
+ * @returns {Array<{node: object, kind: string, parent: object, ancestors: object[]}>} -
+ *   Flagged declarations, with their ancestors from the Program down
+ */
+export function findInlineDeclarations(ast) {
+	const found = [];
+	const stack = [{ node: ast, ancestors: [] }];
+
+	while (stack.length > 0) {
+		const { node, ancestors } = stack.pop();
+		const kind = getInlineDeclarationKind(node);
+		if (kind) {
+			found.push({ node, kind, parent: ancestors[ancestors.length - 1], ancestors });
+		}
+		const childAncestors = [...ancestors, node];
+
+		for (const key of Object.keys(node)) {
+			if (key === "parent" || key === "loc" || key === "range" || key === "tokens" || key === "comments") {
+				continue;
+			}
+			const value = node[key];
+			const children = Array.isArray(value) ? value : [value];
+			for (const child of children) {
+				if (child && typeof child === "object" && typeof child.type === "string") {
+					stack.push({ node: child, ancestors: childAncestors });
+				}
+			}
+		}
+	}
+
+	return found.sort((a, b) => a.node.range[0] - b.node.range[0]);
+}
+
+/**
+ * Checks whether a declaration is nested in a function, component or class body
+ * @param {object[]} ancestors - Ancestors of the declaration, from the Program down
+ * @returns {boolean} - True if nested
+ */
+export function isNestedDeclaration(ancestors) {
+	return ancestors.some((ancestor) => NESTING_TYPES.has(ancestor.type));
+}
+
+/**
+ * Checks whether an expression is a function, or a component wrapped in a
+ * call such as `memo(...)` or `forwardRef(...)`
+ */
+function isFunctionLike(node) {
+	if (!node) {
+		return false;
+	}
+	if (node.type === "FunctionExpression" || node.type === "ArrowFunctionExpression") {
+		return true;
+	}
+	if (node.type === "CallExpression") {
+		return node.arguments.some(isFunctionLike);
+	}
+	if (node.type === "TSAsExpression" || node.type === "TSSatisfiesExpression") {
+		return isFunctionLike(node.expression);
+	}
+	return false;
+}
+
+/**
+ * Checks whether a class declaration is a React class component
+ */
+function isComponentClass(node) {
+	const superClass = node.superClass;
+	if (!superClass) {
+		return false;
+	}
+	const name = superClass.type === "MemberExpression" ? superClass.property.name : superClass.name;
+	return typeof name === "string" && /Component$/.test(name);
+}
+
+/**
+ * Checks whether a module exports functions or React components
+ * @param {object} program - Program node
+ * @returns {boolean} - True if it exports at least one function or component
+ */
+export function exportsFunctionsOrComponents(program) {
+	// Top-level bindings that hold functions or components
+	const functionBindings = new Set();
+	for (const statement of program.body) {
+		const declaration = statement.type === "ExportNamedDeclaration" ? statement.declaration : statement;
+		if (!declaration) {
+			continue;
+		}
+		if (declaration.type === "FunctionDeclaration" && declaration.id) {
+			functionBindings.add(declaration.id.name);
+		} else if (declaration.type === "ClassDeclaration" && declaration.id && isComponentClass(declaration)) {
+			functionBindings.add(declaration.id.name);
+		} else if (declaration.type === "VariableDeclaration") {
+			for (const declarator of declaration.declarations) {
+				if (declarator.id.type === "Identifier" && isFunctionLike(declarator.init)) {
+					functionBindings.add(declarator.id.name);
+				}
+			}
+		}
+	}
+
+	return program.body.some((statement) => {
+		if (statement.type === "ExportDefaultDeclaration") {
+			const declaration = statement.declaration;
+			return (
+				declaration.type === "FunctionDeclaration" ||
+				(declaration.type === "ClassDeclaration" && isComponentClass(declaration)) ||
+				isFunctionLike(declaration) ||
+				(declaration.type === "Identifier" && functionBindings.has(declaration.name))
+			);
+		}
+		if (statement.type === "ExportNamedDeclaration") {
+			const declaration = statement.declaration;
+			if (declaration && declaration.type === "FunctionDeclaration") {
+				return true;
+			}
+			if (declaration && declaration.id && functionBindings.has(declaration.id.name)) {
+				return true;
+			}
+			if (declaration && declaration.type === "VariableDeclaration") {
+				return declaration.declarations.some((declarator) => isFunctionLike(declarator.init));
+			}
+			return (
+				!statement.source &&
+				statement.specifiers.some((specifier) => functionBindings.has(specifier.local.name))
+			);
+		}
+		return false;
+	});
+}
+
+/**
+ * Decides whether a flagged declaration is reported in the given mode
+ * @param {string} kind - "interface", "type" or "enum"
+ * @param {object} scope - Where the declaration is
+ * @param {string} scope.mode - One of MODES
+ * @param {boolean} scope.isNested - Whether it is nested in a function or class body
+ * @param {boolean} scope.isComponentFile - Whether its file exports functions or components
+ * @returns {string|null} - Message id to report with, or null if allowed
+ */
+export function getReportMessageId(kind, { mode, isNested, isComponentFile }) {
+	switch (mode) {
+		case "nested":
+			return isNested ? "nestedDeclaration" : null;
+		case "component-files":
+			if (isNested) {
+				return "nestedDeclaration";
+			}
+			return isComponentFile ? "componentFileDeclaration" : null;
+		default:
+			return STRICT_MESSAGE_IDS[kind];
+	}
+}
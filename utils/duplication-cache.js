@@ -0,0 +1,116 @@
+/**
+ * On-disk cache of the per-file duplication analysis (normalized windows of
+ * the line detector, normalized tokens of the token detector) used by the
+ * check-code-duplication script, so files that did not change are not
+ * tokenized or normalized again on the next run.
+ *
+ * Entries are keyed by file and validated with a hash of the file content
+ * and a hash of the options the data depends on, so editing a file or
+ * changing the options invalidates the affected entries.
+ */
+
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { resolveProjectPath, validatePath } from "../core/paths.js";
+
+// Default cache file, relative to the project root
+export const DEFAULT_CACHE_LOCATION = "node_modules/.cache/linter-rules-check-code-duplication.json";
+
+// Bump when the cached data format or the normalization changes
+const CACHE_VERSION = 1;
+
+// Security limits
+const MAX_CACHE_SIZE = 200 * 1024 * 1024; // 200MB
+const MAX_CACHE_ENTRIES = 20000; // Same limit as the files of a clone index
+
+/**
+ * Computes the hash identifying a file content or a set of options
+ * @param {string} text - Content to hash
+ * @returns {string} - Hash
+ */
+export function getContentHash(text) {
+	return createHash("sha256").update(text).digest("hex").slice(0, 32);
+}
+
+/**
+ * Loads the cache entries from the cache file, ignoring unreadable caches
+ */
+function readEntries(cachePath) {
+	try {
+		if (!existsSync(cachePath) || statSync(cachePath).size > MAX_CACHE_SIZE) {
+			return new Map();
+		}
+		const data = JSON.parse(readFileSync(cachePath, "utf-8"));
+		if (!data || data.version !== CACHE_VERSION || !data.files || typeof data.files !== "object") {
+			return new Map();
+		}
+		return new Map(Object.entries(data.files).slice(0, MAX_CACHE_ENTRIES));
+	} catch (error) {
+		// Corrupt or unreadable cache: start from scratch
+		return new Map();
+	}
+}
+
+/**
+ * Opens the duplication cache of a project
+ * @param {string} root - Project root
+ * @param {string} [cacheLocation] - Cache file, relative to the project root
+ *   (default: DEFAULT_CACHE_LOCATION)
+ * @returns {{get: function(string, string, string): *, set: function(string, string, string, *): void, save: function(): boolean}} -
+ *   `get(file, content, key)` returns the data cached for this content and
+ *   options key (or undefined), `set(file, content, key, data)` caches data
+ *   and `save()` writes the cache file if it changed (false if it could not
+ *   be written)
+ * @throws {Error} - If the cache location is outside the project
+ */
+export function openDuplicationCache(root, cacheLocation = DEFAULT_CACHE_LOCATION) {
+	const relativeCachePath = validatePath(cacheLocation, root);
+	if (!relativeCachePath) {
+		throw new Error(`Invalid cache location "${cacheLocation}": it must be inside the project`);
+	}
+	const cachePath = resolve(root, relativeCachePath);
+	const entries = readEntries(cachePath);
+	let changed = false;
+
+	return {
+		get(file, content, key) {
+			const entry = entries.get(file);
+			if (!entry || entry.key !== getContentHash(key) || entry.hash !== getContentHash(content)) {
+				return undefined;
+			}
+			return entry.data;
+		},
+
+		set(file, content, key, data) {
+			if (!entries.has(file) && entries.size >= MAX_CACHE_ENTRIES) {
+				return;
+			}
+			entries.set(file, { hash: getContentHash(content), key: getContentHash(key), data });
+			changed = true;
+		},
+
+		save() {
+			if (!changed) {
+				return true;
+			}
+
+			// Drop the entries of deleted files
+			for (const file of entries.keys()) {
+				const fullPath = resolveProjectPath(file, root);
+				if (!fullPath || !existsSync(fullPath)) {
+					entries.delete(file);
+				}
+			}
+
+			try {
+				mkdirSync(dirname(cachePath), { recursive: true });
+				writeFileSync(cachePath, JSON.stringify({ version: CACHE_VERSION, files: Object.fromEntries(entries) }));
+				changed = false;
+				return true;
+			} catch (error) {
+				return false;
+			}
+		},
+	};
+}
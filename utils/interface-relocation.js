@@ -0,0 +1,183 @@
+/**
+ * Helpers to relocate inline interfaces, types and enums into the
+ * interfaces folder: target file resolution and import generation.
+ */
+
+import { readFileSync, statSync } from "node:fs";
+import { basename, dirname, extname, isAbsolute, normalize, relative, resolve, sep } from "node:path";
+
+// Default target file for relocated declarations, relative to the project root
+export const DEFAULT_TARGET_PATTERN = "src/interfaces/{basename}.interface.ts";
+
+// Security limits
+const MAX_PATTERN_LENGTH = 4096;
+const MAX_TARGET_FILE_SIZE = 1024 * 1024; // Target files read to check their exports
+
+// Extensions dropped from import specifiers
+const IMPORT_EXTENSIONS = [".d.ts", ".ts", ".tsx", ".mts", ".cts"];
+
+/**
+ * Replaces unsafe characters in a placeholder value
+ */
+function sanitizeSegment(value) {
+	return String(value).replace(/[^\w.-]/g, "_");
+}
+
+/**
+ * Resolves the target file of a declaration from a path pattern.
+ * Supported placeholders: `{basename}` (source file name without extension),
+ * `{dirname}` (name of the source file's folder) and `{name}` (declaration name).
+ * @param {string} pattern - Target path pattern, relative to the project root
+ * @param {object} info - Declaration info
+ * @param {string} info.filePath - Absolute path of the source file
+ * @param {string} info.name - Declaration name
+ * @param {string} info.cwd - Project root
+ * @returns {string|null} - Absolute target path, or null if the pattern is unsafe
+ */
+export function resolveTargetPath(pattern, { filePath, name, cwd }) {
+	if (!pattern || typeof pattern !== "string" || pattern.length > MAX_PATTERN_LENGTH) {
+		return null;
+	}
+
+	// Reject patterns with path traversal attempts or absolute paths
+	if (pattern.includes("..") || pattern.includes("~") || isAbsolute(pattern)) {
+		return null;
+	}
+
+	const fileName = basename(filePath);
+	const fileBasename = fileName.slice(0, fileName.length - extname(fileName).length);
+	const target = pattern
+		.replace(/\{basename\}/g, sanitizeSegment(fileBasename))
+		.replace(/\{dirname\}/g, sanitizeSegment(basename(dirname(filePath))))
+		.replace(/\{name\}/g, sanitizeSegment(name));
+
+	const baseResolved = resolve(cwd);
+	const resolved = resolve(baseResolved, normalize(target));
+	if (!resolved.startsWith(baseResolved)) {
+		return null;
+	}
+
+	return resolved;
+}
+
+/**
+ * Tells whether a file is a target file of a declaration: a file the pattern
+ * resolves to for some source file. `{basename}` and `{dirname}` match any
+ * file or folder name, `{name}` only the declaration name, so
+ * `src/interfaces/user.interface.ts` holds its declarations with the default
+ * pattern.
+ * @param {string} pattern - Target path pattern, relative to the project root
+ * @param {object} info - Declaration info
+ * @param {string} info.filePath - Absolute path of the file declaring it
+ * @param {string} info.name - Declaration name
+ * @param {string} info.cwd - Project root
+ * @returns {boolean} - True if the declaration is already in a target file
+ */
+export function isTargetFile(pattern, { filePath, name, cwd }) {
+	if (!resolveTargetPath(pattern, { filePath, name, cwd })) {
+		return false;
+	}
+
+	const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+	const source = normalize(pattern)
+		.split(sep)
+		.join("/")
+		.split(/(\{basename\}|\{dirname\}|\{name\})/)
+		.map((part, index) => {
+			if (index % 2 === 0) {
+				return escape(part);
+			}
+			return part === "{name}" ? escape(sanitizeSegment(name)) : "[\\w.-]+";
+		})
+		.join("");
+	const projectPath = relative(resolve(cwd), filePath).split(sep).join("/");
+	return new RegExp(`^${source}$`).test(projectPath);
+}
+
+/**
+ * Lists the names a target file exports: `export interface | type | enum`
+ * declarations and `export { ... }` lists (without a parser, comments and
+ * strings are not told apart)
+ * @param {string} targetFile - Absolute path of the target file
+ * @returns {Set<string>|null} - Exported names, or null if the file does not
+ *   exist, is too large or cannot be read
+ */
+export function getTargetExports(targetFile) {
+	let content;
+	try {
+		const stats = statSync(targetFile);
+		if (!stats.isFile() || stats.size > MAX_TARGET_FILE_SIZE) {
+			return null;
+		}
+		content = readFileSync(targetFile, "utf-8");
+	} catch (error) {
+		return null;
+	}
+
+	const names = new Set();
+	const declarationPattern = /\bexport\s+(?:declare\s+)?(?:interface|type|(?:const\s+)?enum)\s+([\w$]+)/g;
+	for (const [, name] of content.matchAll(declarationPattern)) {
+		names.add(name);
+	}
+	for (const [, list] of content.matchAll(/\bexport\s+(?:type\s+)?\{([^}]*)\}/g)) {
+		for (const item of list.split(",")) {
+			// `Name`, `type Name` or `Local as Name`: the last word is the exported name
+			const words = item.trim().split(/\s+/);
+			if (words[0]) {
+				names.add(words[words.length - 1]);
+			}
+		}
+	}
+	return names;
+}
+
+/**
+ * Builds the relative import specifier from a source file to a target file
+ * @param {string} fromFile - Absolute path of the importing file
+ * @param {string} targetFile - Absolute path of the imported file
+ * @returns {string} - Import specifier, e.g. "../interfaces/user.interface"
+ */
+export function getImportSpecifier(fromFile, targetFile) {
+	let specifier = relative(dirname(fromFile), targetFile).split(sep).join("/");
+
+	const extension = IMPORT_EXTENSIONS.find((ext) => specifier.endsWith(ext));
+	if (extension) {
+		specifier = specifier.slice(0, -extension.length);
+	}
+
+	return specifier.startsWith(".") ? specifier : `./${specifier}`;
+}
+
+/**
+ * Builds the import statement for a relocated declaration.
+ * Enums are runtime values and need a value import; interfaces and types use
+ * `import type`.
+ * @param {string} name - Declaration name
+ * @param {string} kind - "interface", "type" or "enum"
+ * @param {string} specifier - Import specifier
+ * @returns {string} - Import statement
+ */
+export function buildImportStatement(name, kind, specifier) {
+	const typeKeyword = kind === "enum" ? "" : "type ";
+	return `import ${typeKeyword}{ ${name} } from "${specifier}";`;
+}
+
+/**
+ * Builds the statement that keeps a relocated declaration exported from its
+ * original module
+ * @param {string} name - Declaration name
+ * @param {string} kind - "interface", "type" or "enum"
+ * @param {object} options - Export options
+ * @param {boolean} options.isDefault - Whether the declaration was the default export
+ * @param {string} [options.specifier] - Re-export directly from this module
+ * @param {string} [options.imported] - Name in that module, if it was renamed there (default: `name`)
+ * @returns {string} - Export statement
+ */
+export function buildReExportStatement(name, kind, { isDefault, specifier, imported = name }) {
+	const typeKeyword = kind === "enum" ? "" : "type ";
+	const local = specifier ? imported : name;
+	const exportedName = isDefault ? "default" : name;
+	const exported = local === exportedName ? local : `${local} as ${exportedName}`;
+	const from = specifier ? ` from "${specifier}"` : "";
+	return `export ${typeKeyword}{ ${exported} }${from};`;
+}
@@ -0,0 +1,229 @@
+/**
+ * Gitignore-style path patterns shared by the lint rules and the validation
+ * scripts, so `excludedPaths` and `EXCLUDED_PATHS` behave identically.
+ *
+ * Supported syntax:
+ * - `*` matches anything except `/`, `?` matches one character except `/`
+ * - `**` matches any number of folders (`**\/*.stories.tsx`, `src/**\/mocks/`)
+ * - `{a,b}` matches one of the alternatives (`*.{test,spec}.ts`)
+ * - `!pattern` re-includes paths excluded by a previous pattern
+ * - A trailing `/` only matches folders (and everything inside them)
+ * - Patterns containing a `/` (other than a trailing one) are anchored to the
+ *   project root; other patterns match at any depth, like in `.gitignore`.
+ *   A leading `/` anchors a pattern without other slashes (`/build/`)
+ *
+ * As in `.gitignore`, the last matching pattern wins, and a file cannot be
+ * re-included if one of its parent folders is excluded.
+ */
+
+import { isAbsolute, normalize, relative, resolve, sep } from "node:path";
+
+// Default paths to exclude from validation
+export const DEFAULT_EXCLUDED_PATHS = [
+	"node_modules/",
+	".husky/",
+	"scripts/",
+	"dist/",
+	"build/",
+];
+
+// Security limits
+const MAX_PATTERN_LENGTH = 4096;
+const MAX_COMPILED_PATTERNS = 1000;
+
+// Absolute paths on any platform: drive letters (`C:\`) and UNC paths (`\\server`).
+// A single leading `/` is a root anchor, as in `.gitignore`
+const ABSOLUTE_PATH_PATTERN = /^(?:[a-zA-Z]:|[\\/]{2})/;
+
+const compiledPatterns = new Map();
+
+/**
+ * Validates that a path pattern is safe (no path traversal attempts)
+ * @param {string} pattern - The path pattern to validate
+ * @returns {boolean} - True if the pattern is safe
+ */
+export function isValidPathPattern(pattern) {
+	if (!pattern || typeof pattern !== "string" || pattern.length > MAX_PATTERN_LENGTH) {
+		return false;
+	}
+
+	const body = pattern.startsWith("!") ? pattern.slice(1) : pattern;
+	if (!body) {
+		return false;
+	}
+
+	// Reject patterns with path traversal attempts
+	if (body.includes("..") || body.includes("~")) {
+		return false;
+	}
+
+	// Reject absolute paths, keeping a leading `/` as a root anchor
+	const rootRelative = body.startsWith("/") ? body.slice(1) : body;
+	if (!rootRelative || ABSOLUTE_PATH_PATTERN.test(body) || isAbsolute(rootRelative)) {
+		return false;
+	}
+
+	return true;
+}
+
+/**
+ * Checks that every brace of a pattern is closed, so unbalanced braces can be
+ * matched literally
+ */
+function hasBalancedBraces(pattern) {
+	let depth = 0;
+	for (const char of pattern) {
+		if (char === "{") {
+			depth++;
+		} else if (char === "}") {
+			depth--;
+			if (depth < 0) {
+				return false;
+			}
+		}
+	}
+	return depth === 0;
+}
+
+/**
+ * Translates a glob (without `!` and trailing `/`) to a regular expression source
+ */
+function globToRegExpSource(glob) {
+	const useBraces = hasBalancedBraces(glob);
+	let source = "";
+	let braceDepth = 0;
+
+	for (let i = 0; i < glob.length; i++) {
+		const char = glob[i];
+
+		if (char === "*") {
+			if (glob[i + 1] === "*") {
+				const atSegmentStart = i === 0 || glob[i - 1] === "/";
+				const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === "/";
+				i++;
+				if (atSegmentStart && atSegmentEnd) {
+					if (i + 1 < glob.length) {
+						// `**/` matches zero or more folders
+						source += "(?:[^/]*/)*";
+						i++;
+					} else {
+						// Trailing `**` matches everything inside
+						source += ".*";
+					}
+					continue;
+				}
+			}
+			source += "[^/]*";
+		} else if (char === "?") {
+			source += "[^/]";
+		} else if (char === "{" && useBraces) {
+			braceDepth++;
+			source += "(?:";
+		} else if (char === "}" && useBraces) {
+			braceDepth--;
+			source += ")";
+		} else if (char === "," && braceDepth > 0) {
+			source += "|";
+		} else {
+			source += char.replace(/[.+^$()|[\]\\{}]/g, "\\$&");
+		}
+	}
+
+	return source;
+}
+
+/**
+ * Compiles a pattern, caching the result
+ * @param {string} pattern - Gitignore-style pattern
+ * @returns {{regex: RegExp, negated: boolean, directoryOnly: boolean}} - Compiled pattern
+ */
+function compilePattern(pattern) {
+	if (compiledPatterns.has(pattern)) {
+		return compiledPatterns.get(pattern);
+	}
+
+	let body = normalize(pattern).split(sep).join("/");
+	const negated = body.startsWith("!");
+	if (negated) {
+		body = body.slice(1);
+	}
+	const directoryOnly = body.endsWith("/");
+	body = body.replace(/\/+$/, "");
+
+	// A leading slash anchors the pattern; patterns without a slash match at any depth
+	const rootAnchored = body.startsWith("/");
+	if (rootAnchored) {
+		body = body.slice(1);
+	}
+	const anchored = rootAnchored || body.includes("/");
+	const source = globToRegExpSource(anchored ? body : `**/${body}`);
+	const compiled = { regex: new RegExp(`^${source}$`), negated, directoryOnly };
+
+	if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+		compiledPatterns.clear();
+	}
+	compiledPatterns.set(pattern, compiled);
+	return compiled;
+}
+
+/**
+ * Applies the patterns to one path, the last matching pattern winning
+ */
+function isMatched(path, isDirectory, patterns) {
+	let excluded = false;
+	for (const pattern of patterns) {
+		if (pattern.directoryOnly && !isDirectory) {
+			continue;
+		}
+		if (pattern.regex.test(path)) {
+			excluded = !pattern.negated;
+		}
+	}
+	return excluded;
+}
+
+/**
+ * Converts a file path to a forward-slash path relative to the project root
+ * @param {string} filePath - Absolute path, or path relative to the project root
+ * @param {string} basePath - Project root
+ * @returns {string} - Relative path (with a trailing `/` kept for folders)
+ */
+export function toProjectPath(filePath, basePath) {
+	const isDirectory = filePath.endsWith("/") || filePath.endsWith(sep);
+	const relativePath = relative(resolve(basePath), resolve(basePath, normalize(filePath)))
+		.split(sep)
+		.join("/");
+	return isDirectory && relativePath ? `${relativePath}/` : relativePath;
+}
+
+/**
+ * Checks whether a path matches gitignore-style exclusion patterns
+ * @param {string} filePath - Absolute path, or path relative to the project root
+ *   (folders end with `/`)
+ * @param {string[]} patterns - Patterns, invalid ones are ignored
+ * @param {string} basePath - Project root the patterns are anchored to
+ * @returns {boolean} - True if the path is excluded
+ */
+export function matchesPathPatterns(filePath, patterns, basePath) {
+	if (!filePath || typeof filePath !== "string" || filePath.length > MAX_PATTERN_LENGTH) {
+		return false;
+	}
+
+	const compiled = patterns.filter(isValidPathPattern).map(compilePattern);
+	if (compiled.length === 0) {
+		return false;
+	}
+
+	const projectPath = toProjectPath(filePath, basePath);
+	const isDirectory = projectPath.endsWith("/");
+	const segments = projectPath.split("/").filter(Boolean);
+
+	// A path inside an excluded folder cannot be re-included
+	for (let i = 1; i < segments.length; i++) {
+		if (isMatched(segments.slice(0, i).join("/"), true, compiled)) {
+			return true;
+		}
+	}
+
+	return isMatched(segments.join("/"), isDirectory, compiled);
+}
@@ -0,0 +1,362 @@
+/**
+ * Shared project configuration, read by both the ESLint rules and the
+ * validation scripts so they cannot drift apart.
+ *
+ * The first file found in the project root is used:
+ * - `linter-rules.config.js` (default export)
+ * - `linter-rules.config.json`
+ * - the `"linter-rules"` key of `package.json`
+ *
+ * ```json
+ * {
+ *   "excludedPaths": ["src/generated/*"],
+ *   "extensions": [".ts", ".tsx", ".vue"],
+ *   "maxFiles": 5000,
+ *   "no-inline-interfaces": { "mode": "component-files" },
+ *   "no-code-duplication": { "minTokens": 80, "excludedPaths": ["**\/*.stories.tsx"] }
+ * }
+ * ```
+ *
+ * Top-level `excludedPaths` apply to every rule and script, top-level
+ * `extensions` select the files the scripts analyse and `maxFiles` is the
+ * number of files they analyse per run. Each rule section
+ * accepts the same options as the rule and is validated against its schema.
+ * Precedence: rule options (or environment variables for the scripts) >
+ * config file > defaults.
+ */
+
+import { execFileSync } from "node:child_process";
+import { existsSync, readFileSync, statSync } from "node:fs";
+import { createRequire } from "node:module";
+import { join, relative, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { isValidExtension } from "./source-files.js";
+
+// Config files looked up in the project root, in order
+const CONFIG_FILES = ["linter-rules.config.js", "linter-rules.config.json"];
+
+// Key of the config object in package.json
+const PACKAGE_JSON_KEY = "linter-rules";
+
+// Invalid configs already reported by a rule (keyed by rule, root and error)
+const reportedErrors = new Set();
+
+// Sections allowed at the top level of the config
+const RULE_SECTIONS = ["no-inline-interfaces", "no-code-duplication"];
+
+// Security limits
+const MAX_CONFIG_SIZE = 1024 * 1024; // 1MB
+export const MAX_FILES_LIMIT = 100000; // Highest accepted `maxFiles`
+const CONFIG_LOAD_TIMEOUT = 10000; // 10s for ES module configs
+
+const loadedConfigs = new Map();
+
+/**
+ * Finds the config source of a project
+ * @param {string} root - Project root
+ * @returns {{path: string, fromPackageJson: boolean}|null} - Config source, or null if none
+ */
+function findConfigSource(root) {
+	for (const name of CONFIG_FILES) {
+		const configPath = join(root, name);
+		if (existsSync(configPath)) {
+			return { path: configPath, fromPackageJson: false };
+		}
+	}
+
+	const packageJsonPath = join(root, "package.json");
+	if (existsSync(packageJsonPath)) {
+		return { path: packageJsonPath, fromPackageJson: true };
+	}
+
+	return null;
+}
+
+/**
+ * Reads and parses a JSON file with a size limit
+ */
+function readJsonFile(filePath) {
+	if (statSync(filePath).size > MAX_CONFIG_SIZE) {
+		throw new Error("file is larger than 1MB");
+	}
+	return JSON.parse(readFileSync(filePath, "utf-8"));
+}
+
+/**
+ * Loads a JavaScript config synchronously, since rules cannot await.
+ * ES modules that `require` cannot load are evaluated in a child process and
+ * must therefore export plain JSON-compatible data.
+ */
+function loadJsConfig(configPath) {
+	try {
+		const require = createRequire(configPath);
+		// Reload edited configs in long-running processes (editors)
+		delete require.cache[configPath];
+		const loaded = require(configPath);
+		return loaded && loaded.__esModule ? loaded.default : loaded;
+	} catch (error) {
+		if (error.code !== "ERR_REQUIRE_ESM" && error.code !== "ERR_REQUIRE_ASYNC_MODULE") {
+			throw error;
+		}
+	}
+
+	const output = execFileSync(
+		process.execPath,
+		[
+			"--input-type=module",
+			"--eval",
+			"const config = await import(process.argv[1]); process.stdout.write(JSON.stringify(config.default ?? null));",
+			pathToFileURL(configPath).href,
+		],
+		{ encoding: "utf-8", timeout: CONFIG_LOAD_TIMEOUT, maxBuffer: MAX_CONFIG_SIZE },
+	);
+	return JSON.parse(output);
+}
+
+/**
+ * Describes a value for error messages
+ */
+function describe(value) {
+	if (Array.isArray(value)) {
+		return "an array";
+	}
+	if (value === null) {
+		return "null";
+	}
+	if (typeof value === "object") {
+		return "an object";
+	}
+	return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Checks a value against the JSON schema subset used by the rule schemas
+ */
+function matchesType(value, type) {
+	switch (type) {
+		case "array":
+			return Array.isArray(value);
+		case "object":
+			return value !== null && typeof value === "object" && !Array.isArray(value);
+		case "integer":
+			return Number.isInteger(value);
+		case "number":
+			return typeof value === "number" && Number.isFinite(value);
+		default:
+			return typeof value === type;
+	}
+}
+
+/**
+ * Validates a value against a rule schema, collecting readable errors
+ * @param {*} value - Value to validate
+ * @param {object} schema - JSON schema (type, enum, items, properties, additionalProperties)
+ * @param {string} path - Dotted path of the value, used in messages
+ * @param {string[]} errors - Collected error messages
+ */
+function validateValue(value, schema, path, errors) {
+	if (schema.type && !matchesType(value, schema.type)) {
+		errors.push(`"${path}" must be ${schema.type === "array" || schema.type === "object" ? "an" : "a"} ${schema.type}, got ${describe(value)}`);
+		return;
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push(`"${path}" must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${describe(value)}`);
+		return;
+	}
+
+	if (schema.type === "array" && schema.items) {
+		value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+	}
+
+	if (schema.type === "object") {
+		const properties = schema.properties || {};
+		for (const [key, item] of Object.entries(value)) {
+			if (properties[key]) {
+				validateValue(item, properties[key], `${path}.${key}`, errors);
+			} else if (schema.additionalProperties === false) {
+				errors.push(`"${path}.${key}" is not a known option (expected one of: ${Object.keys(properties).join(", ")})`);
+			}
+		}
+	}
+}
+
+/**
+ * Builds the error thrown for an invalid config
+ */
+function createConfigError(source, root, messages) {
+	const location = relative(root, source.path) + (source.fromPackageJson ? ` ("${PACKAGE_JSON_KEY}" key)` : "");
+	return new Error(
+		`Invalid linter-rules configuration in ${location}:\n${messages.map((message) => `  - ${message}`).join("\n")}`,
+	);
+}
+
+/**
+ * Loads the project config, cached until the config file changes
+ * @param {string} root - Project root
+ * @returns {{source: object|null, config: object}} - Config source and raw config
+ */
+function loadProjectConfig(root) {
+	const source = findConfigSource(root);
+	if (!source) {
+		return { source: null, config: {} };
+	}
+
+	const { mtimeMs } = statSync(source.path);
+	const cached = loadedConfigs.get(root);
+	if (cached && cached.source.path === source.path && cached.mtimeMs === mtimeMs) {
+		return cached;
+	}
+
+	let config;
+	try {
+		if (source.fromPackageJson) {
+			config = readJsonFile(source.path)[PACKAGE_JSON_KEY] ?? {};
+		} else if (source.path.endsWith(".json")) {
+			config = readJsonFile(source.path);
+		} else {
+			config = loadJsConfig(source.path);
+		}
+	} catch (error) {
+		throw createConfigError(source, root, [`cannot be loaded: ${error.message.split("\n")[0]}`]);
+	}
+
+	const errors = [];
+	if (!matchesType(config, "object")) {
+		errors.push(`the configuration must be an object, got ${describe(config)}`);
+	} else {
+		for (const [key, value] of Object.entries(config)) {
+			if (key === "excludedPaths") {
+				validateValue(value, { type: "array", items: { type: "string" } }, key, errors);
+			} else if (key === "extensions") {
+				validateValue(value, { type: "array", items: { type: "string" } }, key, errors);
+				if (Array.isArray(value)) {
+					value.forEach((extension, index) => {
+						if (typeof extension === "string" && !isValidExtension(extension)) {
+							errors.push(`"${key}[${index}]" must be a file extension such as ".js", got "${extension}"`);
+						}
+					});
+				}
+			} else if (key === "maxFiles") {
+				if (!Number.isInteger(value) || value < 1 || value > MAX_FILES_LIMIT) {
+					errors.push(`"${key}" must be an integer between 1 and ${MAX_FILES_LIMIT}, got ${describe(value)}`);
+				}
+			} else if (!RULE_SECTIONS.includes(key)) {
+				errors.push(
+					`"${key}" is not a known section (expected one of: excludedPaths, extensions, maxFiles, ${RULE_SECTIONS.join(", ")})`,
+				);
+			}
+		}
+	}
+	if (errors.length > 0) {
+		throw createConfigError(source, root, errors);
+	}
+
+	const loaded = { source, config, mtimeMs, validatedSections: new Set() };
+	loadedConfigs.set(root, loaded);
+	return loaded;
+}
+
+/**
+ * Gets the options of a rule (or of its validation script) from the project
+ * config, validated against the rule schema
+ * @param {string} root - Project root the config is discovered from
+ * @param {string} ruleName - Rule name, e.g. "no-code-duplication"
+ * @param {object} schema - Options schema of the rule
+ * @param {object} [ruleOptions] - Options set in the ESLint config, which take
+ *   precedence over the file; their `excludedPaths` are added to the file's
+ * @param {object} [settings] - Merge settings
+ * @param {boolean} [settings.replaceExcludedPaths] - The `excludedPaths` of
+ *   `ruleOptions` replace the file's instead (EXCLUDED_PATHS in the scripts)
+ * @returns {object} - Options from the config file, with the shared
+ *   `excludedPaths` merged in (empty if there is no config)
+ * @throws {Error} - If the config cannot be loaded or is invalid
+ */
+export function getRuleConfig(root, ruleName, schema, ruleOptions = {}, { replaceExcludedPaths = false } = {}) {
+	const loaded = loadProjectConfig(resolve(root));
+	const { source, config } = loaded;
+	const section = config[ruleName];
+
+	if (section !== undefined && !loaded.validatedSections.has(ruleName)) {
+		const errors = [];
+		validateValue(section, schema, ruleName, errors);
+		if (errors.length > 0) {
+			throw createConfigError(source, resolve(root), errors);
+		}
+		loaded.validatedSections.add(ruleName);
+	}
+
+	const options = { ...section, ...ruleOptions };
+	if (replaceExcludedPaths && Array.isArray(ruleOptions.excludedPaths)) {
+		return options;
+	}
+	const excludedPaths = [config.excludedPaths, section && section.excludedPaths, ruleOptions.excludedPaths]
+		.filter(Array.isArray)
+		.flat();
+	if (excludedPaths.length > 0) {
+		options.excludedPaths = excludedPaths;
+	}
+	return options;
+}
+
+/**
+ * Gets the options of an ESLint rule like getRuleConfig, without throwing:
+ * an invalid config would otherwise crash the whole lint run
+ * @param {string} root - Project root the config is discovered from
+ * @param {string} ruleName - Rule name
+ * @param {object} schema - Options schema of the rule
+ * @param {object|undefined} ruleOptions - Options set in the ESLint config
+ * @param {function(Error): void} onInvalid - Called with the config error the
+ *   first time a rule meets an invalid config
+ * @returns {object} - Merged options, or the rule options alone if the config is invalid
+ */
+export function getLintRuleConfig(root, ruleName, schema, ruleOptions, onInvalid) {
+	try {
+		return getRuleConfig(root, ruleName, schema, ruleOptions);
+	} catch (error) {
+		const key = `${ruleName}\0${resolve(root)}\0${error.message}`;
+		if (!reportedErrors.has(key)) {
+			reportedErrors.add(key);
+			onInvalid(error);
+		}
+		return { ...ruleOptions };
+	}
+}
+
+/**
+ * Gets the file extensions the validation scripts analyse, from the
+ * top-level `extensions` of the project config
+ * @param {string} root - Project root the config is discovered from
+ * @returns {string[]|undefined} - Extensions, or undefined if not configured
+ * @throws {Error} - If the config cannot be loaded or is invalid
+ */
+export function getProjectExtensions(root) {
+	return loadProjectConfig(resolve(root)).config.extensions;
+}
+
+/**
+ * Gets the number of files the validation scripts analyse per run, from the
+ * top-level `maxFiles` of the project config
+ * @param {string} root - Project root the config is discovered from
+ * @returns {number|undefined} - Maximum number of files, or undefined if not configured
+ * @throws {Error} - If the config cannot be loaded or is invalid
+ */
+export function getProjectMaxFiles(root) {
+	return loadProjectConfig(resolve(root)).config.maxFiles;
+}
+
+/**
+ * Validates options passed programmatically (see core/checks.js) against a
+ * rule schema, with the same messages as the config file
+ * @param {string} ruleName - Rule name, used in messages
+ * @param {object} options - Options to validate
+ * @param {object} schema - Options schema of the rule
+ * @throws {Error} - If the options are invalid
+ */
+export function validateRuleOptions(ruleName, options, schema) {
+	const errors = [];
+	validateValue(options, schema, ruleName, errors);
+	if (errors.length > 0) {
+		throw new Error(`Invalid ${ruleName} options:\n${errors.map((message) => `  - ${message}`).join("\n")}`);
+	}
+}
@@ -0,0 +1,91 @@
+/**
+ * Source files analysed by the validation scripts: which extensions are
+ * checked, and how the code of single-file components is found.
+ *
+ * `.vue` and `.svelte` files are analysed through their `<script>` blocks.
+ * Everything outside the blocks (template, styles, the tags themselves) is
+ * replaced with spaces, so the extracted code keeps the lines, columns and
+ * offsets of the original file and findings point at the right place.
+ */
+
+// Extensions analysed when none are configured
+export const DEFAULT_EXTENSIONS = [".ts", ".tsx"];
+
+// Extensions whose files are single-file components
+const COMPONENT_EXTENSIONS = [".vue", ".svelte"];
+
+// Security limits
+const MAX_EXTENSION_LENGTH = 20;
+const MAX_SCRIPT_BLOCKS = 100; // Script blocks extracted per component
+
+const EXTENSION_PATTERN = /^\.[a-z0-9]+(?:\.[a-z0-9]+)*$/i;
+const SCRIPT_OPEN_TAG = /<script\b[^>]*>/gi;
+const SCRIPT_CLOSE_TAG = /<\/script\s*>/gi;
+
+/**
+ * Checks whether a configured extension is valid, e.g. ".js" or ".d.ts"
+ * @param {string} extension - Extension, with its leading dot
+ * @returns {boolean} - True if the extension can be used
+ */
+export function isValidExtension(extension) {
+	return (
+		typeof extension === "string" &&
+		extension.length <= MAX_EXTENSION_LENGTH &&
+		EXTENSION_PATTERN.test(extension)
+	);
+}
+
+/**
+ * Checks whether a file has one of the analysed extensions
+ * @param {string} filePath - File path
+ * @param {string[]} [extensions] - Analysed extensions (default: DEFAULT_EXTENSIONS)
+ * @returns {boolean} - True if the file is analysed
+ */
+export function hasSourceExtension(filePath, extensions = DEFAULT_EXTENSIONS) {
+	const lowerPath = filePath.toLowerCase();
+	return extensions.some((extension) => lowerPath.endsWith(extension.toLowerCase()));
+}
+
+/**
+ * Replaces every character but line breaks with a space
+ */
+function blank(text) {
+	return text.replace(/[^\r\n]/g, " ");
+}
+
+/**
+ * Gets the code to analyse in a file: the `<script>` blocks of `.vue` and
+ * `.svelte` components, at their original position, or the whole content of
+ * other files
+ * @param {string} content - File content
+ * @param {string} filePath - File path, whose extension selects the extraction
+ * @returns {string} - Code with the same length and line breaks as `content`
+ */
+export function getScriptContent(content, filePath) {
+	if (!COMPONENT_EXTENSIONS.some((extension) => filePath.toLowerCase().endsWith(extension))) {
+		return content;
+	}
+
+	let code = "";
+	let lastIndex = 0;
+	let blockCount = 0;
+	SCRIPT_OPEN_TAG.lastIndex = 0;
+
+	// Tags are searched from the end of the previous match, so the scan stays linear
+	let openTag;
+	while (blockCount < MAX_SCRIPT_BLOCKS && (openTag = SCRIPT_OPEN_TAG.exec(content))) {
+		const start = openTag.index + openTag[0].length;
+		SCRIPT_CLOSE_TAG.lastIndex = start;
+		const closeTag = SCRIPT_CLOSE_TAG.exec(content);
+		if (!closeTag) {
+			break; // Unterminated block
+		}
+
+		code += blank(content.slice(lastIndex, start)) + content.slice(start, closeTag.index);
+		lastIndex = closeTag.index;
+		SCRIPT_OPEN_TAG.lastIndex = closeTag.index + closeTag[0].length;
+		blockCount++;
+	}
+
+	return code + blank(content.slice(lastIndex));
+}
@@ -0,0 +1,163 @@
+/**
+ * Suppression comments for the validation scripts, the equivalent of
+ * `eslint-disable` comments for the ESLint rules:
+ *
+ * ```ts
+ * // linter-rules-disable-next-line no-inline-interfaces -- props of a one-off story
+ * interface StoryProps { label: string }
+ *
+ * /* linter-rules-disable no-code-duplication -- generated fixtures *\/
+ * ...
+ * /* linter-rules-enable no-code-duplication *\/
+ * ```
+ *
+ * - `disable-next-line <checks>` covers the following line
+ * - `disable <checks>` covers the lines up to the next `enable` of the same
+ *   check, or the rest of the file (a `disable` at the top of a file without
+ *   `enable` covers the whole file)
+ * - Checks are comma- or space-separated; without checks, every check is
+ *   disabled (or enabled)
+ * - Text after `--` is the reason
+ * - A finding is suppressed when a directive covers its first line: a
+ *   directive inside a duplicated block does not silence the block
+ *
+ * Directives must start their line. Directives naming a check that suppress
+ * nothing are reported as unused.
+ */
+
+// Checks that can be suppressed
+export const SUPPRESSIBLE_CHECKS = ["no-inline-interfaces", "no-code-duplication"];
+
+// Rule descriptor of the problems found in suppression comments, for script reports
+export const SUPPRESSION_RULE = {
+	id: "suppression-comments",
+	description: "report unused, unknown and unexplained linter-rules suppression comments",
+	level: "warning",
+};
+
+// Security limits
+const MAX_DIRECTIVES_PER_FILE = 1000;
+
+const DIRECTIVE_PATTERN = /^\s*(?:\/\/|\/\*+)\s*linter-rules-(disable-next-line|disable|enable)(?=\s|\*\/|$)(.*)$/;
+
+/**
+ * Parses the suppression directives of a file
+ * @param {string} content - File content
+ * @returns {Array<{type: string, line: number, checks: string[], reason: string}>} - Directives
+ *   in line order (`checks` is empty when the directive applies to every check)
+ */
+export function parseSuppressions(content) {
+	if (typeof content !== "string" || !content.includes("linter-rules-")) {
+		return [];
+	}
+
+	const directives = [];
+	const lines = content.split("\n");
+
+	for (let index = 0; index < lines.length && directives.length < MAX_DIRECTIVES_PER_FILE; index++) {
+		const match = DIRECTIVE_PATTERN.exec(lines[index]);
+		if (!match) {
+			continue;
+		}
+
+		const text = match[2].replace(/\*\/.*$/, "");
+		const separator = text.indexOf("--");
+		const checksText = separator === -1 ? text : text.slice(0, separator);
+		directives.push({
+			type: match[1],
+			line: index + 1,
+			checks: checksText.split(/[\s,]+/).filter(Boolean),
+			reason: separator === -1 ? "" : text.slice(separator + 2).trim(),
+		});
+	}
+
+	return directives;
+}
+
+/**
+ * Checks whether a directive applies to a check
+ */
+function appliesTo(directive, check) {
+	return directive.checks.length === 0 || directive.checks.includes(check);
+}
+
+/**
+ * Creates the suppression check of one file for one check. Each call marks
+ * the directives that cover the finding as used.
+ * @param {string} content - File content
+ * @param {string} check - Check being run, one of SUPPRESSIBLE_CHECKS
+ * @returns {{isSuppressed: function(number): boolean, getProblems: function(object): Array<object>}} -
+ *   `isSuppressed(startLine)` tells whether a finding starting on that line is suppressed;
+ *   `getProblems({requireReason})` lists the problems of the directives
+ *   (`{line, level, message}`) once every finding has been checked
+ */
+export function createSuppressionChecker(content, check) {
+	const directives = parseSuppressions(content);
+	const regions = [];
+	let openRegions = [];
+
+	for (const directive of directives) {
+		if (!appliesTo(directive, check)) {
+			continue;
+		}
+		if (directive.type === "disable-next-line") {
+			regions.push({ directive, start: directive.line + 1, end: directive.line + 1 });
+		} else if (directive.type === "disable") {
+			const region = { directive, start: directive.line, end: Infinity };
+			regions.push(region);
+			openRegions.push(region);
+		} else {
+			for (const region of openRegions) {
+				region.end = directive.line;
+			}
+			openRegions = [];
+		}
+	}
+
+	const used = new Set();
+
+	return {
+		isSuppressed(startLine) {
+			let suppressed = false;
+			for (const region of regions) {
+				if (region.start <= startLine && startLine <= region.end) {
+					used.add(region.directive);
+					suppressed = true;
+				}
+			}
+			return suppressed;
+		},
+
+		getProblems({ requireReason = false } = {}) {
+			const problems = [];
+			for (const directive of directives) {
+				const unknownChecks = directive.checks.filter((name) => !SUPPRESSIBLE_CHECKS.includes(name));
+				if (unknownChecks.length > 0) {
+					problems.push({
+						line: directive.line,
+						level: "warning",
+						message: `Unknown check ${unknownChecks.map((name) => `'${name}'`).join(", ")} in linter-rules-${directive.type} (expected one of: ${SUPPRESSIBLE_CHECKS.join(", ")})`,
+					});
+				}
+				if (!appliesTo(directive, check) || directive.type === "enable") {
+					continue;
+				}
+				if (requireReason && !directive.reason) {
+					problems.push({
+						line: directive.line,
+						level: "error",
+						message: `linter-rules-${directive.type} requires a reason after "--"`,
+					});
+				}
+				if (directive.checks.includes(check) && !used.has(directive)) {
+					problems.push({
+						line: directive.line,
+						level: "warning",
+						message: `Unused linter-rules-${directive.type}: no ${check} finding to suppress`,
+					});
+				}
+			}
+			return problems;
+		},
+	};
+}